@@ -7,15 +7,52 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 
 // ============================================================================
 // MODEL PROVIDERS
 // ============================================================================
 
+// Providers expose chat(messages, systemPrompt) for a full reply and
+// chatStream(messages, systemPrompt, onDelta) which calls onDelta(text) for
+// each chunk as it arrives. Both resolve with { text, usage }, where usage is
+// { inputTokens, outputTokens } or null when the backend doesn't report it.
+
+// Error carrying the HTTP status so callers can tell transient failures apart
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toUsage(inputTokens, outputTokens) {
+  if (inputTokens == null && outputTokens == null) return null;
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+// Read a fetch response body line by line (NDJSON and SSE are both line based)
+async function readLines(response, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+  }
+  
+  buffer += decoder.decode();
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
 class AnthropicProvider {
   constructor(config) {
     this.client = new Anthropic({ 
-      apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY 
+      apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
+      maxRetries: 0 // Battle.respondWithRetry owns retries and backoff
     });
     this.model = config.model || 'claude-sonnet-4-20250514';
     this.maxTokens = config.maxTokens || 1000;
@@ -28,7 +65,26 @@ class AnthropicProvider {
       system: systemPrompt || 'You are an AI.',
       messages: messages
     });
-    return response.content[0].text;
+    return {
+      text: response.content[0].text,
+      usage: toUsage(response.usage?.input_tokens, response.usage?.output_tokens)
+    };
+  }
+
+  async chatStream(messages, systemPrompt, onDelta) {
+    const stream = this.client.messages.stream({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      system: systemPrompt || 'You are an AI.',
+      messages: messages
+    });
+    stream.on('text', delta => onDelta(delta));
+    
+    const response = await stream.finalMessage();
+    return {
+      text: response.content[0]?.text || '',
+      usage: toUsage(response.usage?.input_tokens, response.usage?.output_tokens)
+    };
   }
 }
 
@@ -38,7 +94,7 @@ class OllamaProvider {
     this.model = config.model || 'llama3';
   }
 
-  async chat(messages, systemPrompt) {
+  buildMessages(messages, systemPrompt) {
     // Use the chat API instead of generate
     const ollamaMessages = [];
     
@@ -53,57 +109,507 @@ class OllamaProvider {
       });
     }
     
+    return ollamaMessages;
+  }
+
+  async chat(messages, systemPrompt) {
     const response = await fetch(`${this.endpoint}/api/chat`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         model: this.model,
-        messages: ollamaMessages,
+        messages: this.buildMessages(messages, systemPrompt),
         stream: false
       })
     });
     
     const text = await response.text();
     
+    if (!response.ok) {
+      console.error('Ollama error, raw response:', text.slice(0, 200));
+      throw httpError(`Ollama request failed (${response.status})`, response.status);
+    }
+    
     try {
       const data = JSON.parse(text);
-      return data.message?.content || data.response || '';
+      return {
+        text: data.message?.content || data.response || '',
+        usage: toUsage(data.prompt_eval_count, data.eval_count)
+      };
     } catch (e) {
       console.error('Ollama parse error, raw response:', text.slice(0, 200));
       throw new Error('Failed to parse Ollama response');
     }
   }
+
+  async chatStream(messages, systemPrompt, onDelta) {
+    const response = await fetch(`${this.endpoint}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        messages: this.buildMessages(messages, systemPrompt),
+        stream: true
+      })
+    });
+    
+    if (!response.ok) {
+      const text = await response.text();
+      console.error('Ollama stream error, raw response:', text.slice(0, 200));
+      throw httpError(`Ollama request failed (${response.status})`, response.status);
+    }
+    
+    // Ollama streams one JSON object per line; the last one (done: true) carries the counts
+    let full = '';
+    let counts = null;
+    await readLines(response, line => {
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (e) {
+        console.error('Ollama parse error, raw chunk:', line.slice(0, 200));
+        return;
+      }
+      if (data.error) throw new Error(data.error);
+      const delta = data.message?.content || data.response || '';
+      if (delta) {
+        full += delta;
+        onDelta(delta);
+      }
+      if (data.done) counts = toUsage(data.prompt_eval_count, data.eval_count);
+    });
+    
+    return { text: full, usage: counts };
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor(config) {
+    // Base URL includes the version prefix, e.g. https://api.openai.com/v1,
+    // https://api.x.ai/v1 or http://localhost:8000/v1 for vLLM / llama.cpp / LM Studio
+    this.endpoint = (config.endpoint || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+    this.model = config.model || 'gpt-4o';
+    this.maxTokens = config.maxTokens || 1000;
+  }
+
+  request(messages, systemPrompt, stream) {
+    const openaiMessages = [];
+    
+    if (systemPrompt) {
+      openaiMessages.push({ role: 'system', content: systemPrompt });
+    }
+    
+    for (const msg of messages) {
+      openaiMessages.push({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      });
+    }
+    
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    
+    return fetch(`${this.endpoint}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        messages: openaiMessages,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } }) // Final chunk reports usage
+      })
+    });
+  }
+
+  async chat(messages, systemPrompt) {
+    const response = await this.request(messages, systemPrompt, false);
+    const text = await response.text();
+    
+    if (!response.ok) {
+      throw httpError(parseErrorMessage(text) || `OpenAI-compatible request failed (${response.status})`, response.status);
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      console.error('OpenAI-compatible parse error, raw response:', text.slice(0, 200));
+      throw new Error('Failed to parse OpenAI-compatible response');
+    }
+    
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: toUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+    };
+  }
+
+  async chatStream(messages, systemPrompt, onDelta) {
+    const response = await this.request(messages, systemPrompt, true);
+    
+    if (!response.ok) {
+      const text = await response.text();
+      throw httpError(parseErrorMessage(text) || `OpenAI-compatible request failed (${response.status})`, response.status);
+    }
+    
+    // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+    let full = '';
+    let counts = null;
+    await readLines(response, line => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      
+      try {
+        const data = JSON.parse(payload);
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          full += delta;
+          onDelta(delta);
+        }
+        if (data.usage) counts = toUsage(data.usage.prompt_tokens, data.usage.completion_tokens);
+      } catch (e) {
+        console.error('OpenAI-compatible parse error, raw chunk:', payload.slice(0, 200));
+      }
+    });
+    
+    return { text: full, usage: counts };
+  }
+}
+
+// Scripted replies for offline battles. `replies` are used in order and
+// wrap around; without them every reply comes from `template`. Both may use
+// {{n}} (this provider's call count), {{model}} and {{last}} (the message
+// being answered).
+class MockProvider {
+  constructor(config) {
+    this.model = config.model || 'mock';
+    this.replies = config.replies || [];
+    this.template = config.template || 'Reply {{n}} from {{model}}.';
+    this.calls = 0;
+  }
+
+  reply(messages, systemPrompt) {
+    const template = this.replies.length ? this.replies[this.calls % this.replies.length] : this.template;
+    this.calls++;
+    
+    const values = { n: this.calls, model: this.model, last: messages.at(-1)?.content || '' };
+    const text = template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+    const prompt = (systemPrompt || '') + messages.map(m => m.content).join('');
+    return { text, usage: toUsage(estimateTokens(prompt), estimateTokens(text)) };
+  }
+
+  async chat(messages, systemPrompt) {
+    return this.reply(messages, systemPrompt);
+  }
+
+  async chatStream(messages, systemPrompt, onDelta) {
+    const response = this.reply(messages, systemPrompt);
+    response.text.split(/(?<=\s)/).forEach(delta => onDelta(delta));
+    return response;
+  }
+}
+
+// Cassettes are JSON files of recorded provider calls:
+//   { "interactions": [{ "key", "model", "request": { system, messages }, "response": { text, usage, deltas } }] }
+// Providers pointing at the same file share one copy, loaded on first use.
+const cassettes = new Map();
+const CASSETTE_DIR = path.resolve('data', 'cassettes');
+
+// A cassette is named relative to data/cassettes; recording writes to it, so
+// it can never point anywhere else
+function cassettePath(name = 'default.json') {
+  if (typeof name !== 'string' || !name || path.isAbsolute(name) || name.split(/[\\/]/).includes('..')) {
+    throw new Error(`Cassette must be a file name inside data/cassettes: ${name}`);
+  }
+  const file = path.resolve(CASSETTE_DIR, name.endsWith('.json') ? name : `${name}.json`);
+  if (!file.startsWith(CASSETTE_DIR + path.sep)) {
+    throw new Error(`Cassette must be a file name inside data/cassettes: ${name}`);
+  }
+  return file;
+}
+
+function loadCassette(file) {
+  if (!cassettes.has(file)) {
+    cassettes.set(file, fs.readFile(file, 'utf8')
+      .then(text => JSON.parse(text).interactions || [], e => {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      })
+      .then(interactions => ({ file, interactions, played: new Set(), writing: Promise.resolve() })));
+  }
+  return cassettes.get(file);
+}
+
+// The next recording to serve: in `sequence` mode whatever comes next, by
+// `request` the next unplayed one with the same key. Once they have all been
+// played it starts over, so a cassette can be replayed more than once.
+function nextInteraction(cassette, key, match) {
+  const matches = t => match === 'sequence' || t.key === key;
+  let index = cassette.interactions.findIndex((t, i) => !cassette.played.has(i) && matches(t));
+  if (index === -1) {
+    index = cassette.interactions.findIndex(matches);
+    if (index === -1) return null;
+    cassette.interactions.forEach((t, i) => { if (matches(t)) cassette.played.delete(i); });
+  }
+  cassette.played.add(index);
+  return cassette.interactions[index];
+}
+
+function saveInteraction(cassette, interaction) {
+  cassette.interactions.push(interaction);
+  cassette.writing = cassette.writing.then(async () => {
+    await fs.mkdir(path.dirname(cassette.file), { recursive: true });
+    await fs.writeFile(cassette.file, JSON.stringify({ interactions: cassette.interactions }, null, 2));
+  }).catch(e => console.error(`Cassette ${cassette.file} not saved:`, e.message));
+}
+
+// Record mode passes every call through to the `upstream` provider and
+// writes request and response to the cassette. Replay mode answers from the
+// cassette alone, matched by request (model, system prompt and messages) or,
+// with `match: "sequence"`, in the order they were recorded.
+class ReplayProvider {
+  constructor(config) {
+    this.mode = config.mode === 'record' ? 'record' : 'replay';
+    this.match = config.match === 'sequence' ? 'sequence' : 'request';
+    this.file = cassettePath(config.cassette || undefined);
+    this.model = config.model || 'claude-sonnet-4-20250514';
+    
+    if (this.mode === 'record') {
+      if (config.upstream === 'replay') throw new Error('Replay cannot record from itself');
+      this.upstream = createProvider({ ...config, provider: config.upstream || 'anthropic' });
+    }
+  }
+
+  requestKey(request) {
+    return crypto.createHash('sha256').update(JSON.stringify({ model: this.model, ...request })).digest('hex');
+  }
+
+  async call(messages, systemPrompt, onDelta) {
+    const cassette = await loadCassette(this.file);
+    const request = { system: systemPrompt || null, messages };
+    const key = this.requestKey(request);
+    
+    if (this.mode === 'record') {
+      const deltas = [];
+      const response = onDelta
+        ? await this.upstream.chatStream(messages, systemPrompt, delta => { deltas.push(delta); onDelta(delta); })
+        : await this.upstream.chat(messages, systemPrompt);
+      saveInteraction(cassette, { key, model: this.model, request, response: { ...response, deltas: onDelta ? deltas : null } });
+      return response;
+    }
+    
+    const interaction = nextInteraction(cassette, key, this.match);
+    if (!interaction) {
+      throw new Error(`No recorded response in ${this.file} for this ${this.model} request`);
+    }
+    const { text, usage, deltas } = interaction.response;
+    if (onDelta) (deltas || [text]).forEach(delta => onDelta(delta));
+    return { text, usage };
+  }
+
+  async chat(messages, systemPrompt) {
+    return this.call(messages, systemPrompt, null);
+  }
+
+  async chatStream(messages, systemPrompt, onDelta) {
+    return this.call(messages, systemPrompt, onDelta);
+  }
+}
+
+// `{ "error": { "message": ... } }` bodies from OpenAI-style APIs
+function parseErrorMessage(text) {
+  try {
+    return JSON.parse(text).error?.message || null;
+  } catch (e) {
+    console.error('OpenAI-compatible error, raw response:', text.slice(0, 200));
+    return null;
+  }
+}
+
+// Rate limits, overloaded/5xx servers and dropped connections are worth retrying;
+// anything else (bad request, auth, unknown model) will fail the same way again
+function isTransientError(error) {
+  const status = error.status;
+  if (status === 408 || status === 429 || status >= 500) return true;
+  if (status) return false;
+  
+  const detail = `${error.name} ${error.message} ${error.cause?.code || ''}`;
+  return /timeout|timed out|fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|overloaded/i.test(detail);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Requests per minute with room for a short burst. Callers wait their turn
+// in order; a request is only let through once a token is free.
+class TokenBucket {
+  constructor({ requestsPerMinute, burst = 1 }) {
+    this.rate = requestsPerMinute / 60000; // Tokens per ms
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updated = Date.now();
+    this.line = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.rate);
+    this.updated = now;
+  }
+
+  take() {
+    const turn = this.line.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil((1 - this.tokens) / this.rate));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.line = turn;
+    return turn;
+  }
+}
+
+// One bucket per provider and endpoint, shared by every agent and judge
+// calling it, so the limit holds across battles
+const rateLimits = new Map();
+
+function bucketFor(config) {
+  const key = `${config.provider || 'anthropic'}:${config.endpoint || 'default'}`;
+  if (!rateLimits.has(key)) rateLimits.set(key, new TokenBucket(config.rateLimit));
+  return rateLimits.get(key);
+}
+
+function rateLimited(provider, config) {
+  const bucket = bucketFor(config);
+  const { chat, chatStream } = provider;
+  provider.chat = async (...args) => {
+    await bucket.take();
+    return chat.apply(provider, args);
+  };
+  provider.chatStream = async (...args) => {
+    await bucket.take();
+    return chatStream.apply(provider, args);
+  };
+  return provider;
 }
 
 function createProvider(config) {
   const provider = config.provider || 'anthropic';
   
+  if (provider === 'mock') {
+    return new MockProvider(config);
+  }
+  if (provider === 'replay') {
+    // Recording goes through the upstream, which is limited on its own
+    return new ReplayProvider(config);
+  }
+  
+  let instance;
   if (provider === 'ollama') {
-    return new OllamaProvider(config);
+    instance = new OllamaProvider(config);
+  } else if (provider === 'openai') {
+    instance = new OpenAICompatibleProvider(config);
+  } else {
+    instance = new AnthropicProvider(config);
   }
-  return new AnthropicProvider(config);
+  return config.rateLimit?.requestsPerMinute ? rateLimited(instance, config) : instance;
+}
+
+// Options for createProvider() from the `providers` section of config.json.
+// Replay records through its upstream, so it borrows that endpoint and key.
+function providerSettings(providers, name) {
+  const { enabled, models, ...settings } = providers?.[name] || {};
+  const upstream = name === 'replay' && settings.upstream !== 'replay'
+    ? providerSettings(providers, settings.upstream || 'anthropic')
+    : { endpoint: null, apiKey: null };
+  return { ...upstream, ...settings, provider: name };
 }
 
 // ============================================================================
 // AGENT
 // ============================================================================
 
+const MAX_MEMORIES = 50;
+
+const REFLECTION_PROMPT = 'The conversation is over. Looking back on it from your own point of view, ' +
+  'write 3 to 5 memories worth carrying into future conversations: who you spoke with and what ' +
+  'they were like, what happened, and what you learned. Write each in the first person, one or two ' +
+  'sentences. Reply with only a JSON array of objects with "key" (a short snake_case label) and ' +
+  '"value" (the memory).';
+
+// Pull [{ key, value }] out of a reflection reply, tolerating prose or code fences around the JSON
+function parseReflection(text) {
+  const match = (text || '').match(/\[[\s\S]*\]/);
+  if (!match) return [];
+  
+  try {
+    return JSON.parse(match[0])
+      .filter(m => m && typeof m.value === 'string' && m.value.trim())
+      .map((m, i) => ({ key: String(m.key || `reflection_${i}`), value: m.value.trim() }));
+  } catch (e) {
+    return [];
+  }
+}
+
 class Agent {
   constructor(config) {
     this.id = config.id || `agent_${Date.now()}`;
     this.name = config.name || `Agent`;
     this.displayName = config.displayName || this.name;
+    this.providerName = config.provider || 'anthropic';
     this.provider = createProvider(config);
     this.brainPath = typeof config.brain === 'string' ? config.brain : null;
     this.brain = typeof config.brain === 'object' ? config.brain : null;
+    this.brainId = config.brainId || null; // Stored brain, see BrainStore
+    this.brainVersion = config.brainVersion || null; // Pinned version, latest if null
     this.soul = config.soul || null;
     this.prompt = config.prompt || null; // Individual prompt for this agent
     this.sharedPrompt = config.sharedPrompt || null; // Shared context from battle
+    this.rules = null; // How to signal the battle's stop conditions, set by the battle
     this.model = config.model || 'claude-sonnet-4-20250514';
     this.anonymous = config.anonymous || false;
   }
 
-  async loadBrain() {
+  // Everything needed to rebuild this agent later. Endpoints and API keys are
+  // left out on purpose: they come from the server config when restoring.
+  toConfig() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      provider: this.providerName,
+      model: this.model,
+      soul: this.soul,
+      brain: this.brainPath || (this.brainId ? null : this.brain),
+      brainId: this.brainId,
+      brainVersion: this.brainVersion,
+      prompt: this.prompt,
+      anonymous: this.anonymous
+    };
+  }
+
+  // `userId` is whoever started the battle; only their own stored brains load
+  async loadBrain(store, userId = null) {
+    // A stored brain wins over inline objects and files
+    if (this.brainId && store) {
+      const record = !store.owns(this.brainId, userId) ? null : this.brainVersion
+        ? store.getVersion(this.brainId, this.brainVersion)
+        : store.getLatest(this.brainId);
+      if (record) {
+        this.brain = record.data;
+        this.brainVersion = record.version;
+        console.log(`🧠 Loaded stored brain ${this.brainId} v${record.version}`);
+        return;
+      }
+      console.log(`⚠️ No stored brain ${this.brainId}, falling back`);
+      this.brainId = null;
+      this.brainVersion = null;
+    }
+    
     // If brain is already loaded as object, skip
     if (this.brain) return;
     
@@ -153,6 +659,10 @@ class Agent {
       prompt += `Your directive: ${this.prompt}\n\n`;
     }
     
+    if (this.rules) {
+      prompt += `${this.rules}\n\n`;
+    }
+    
     // Add soul (custom system prompt) if provided
     if (this.soul) {
       prompt += this.soul + '\n\n';
@@ -183,7 +693,8 @@ class Agent {
       if (this.brain.conversationMemories?.length > 0) {
         prompt += '## Recent Memories\n';
         this.brain.conversationMemories.slice(-10).forEach(mem => {
-          prompt += `- ${mem.key}: ${mem.value}\n`;
+          const value = typeof mem.value === 'string' ? mem.value : JSON.stringify(mem.value);
+          prompt += `- ${mem.key}: ${value}\n`;
         });
       }
       
@@ -196,7 +707,7 @@ class Agent {
     return prompt || null;
   }
 
-  async respond(messages) {
+  async respond(messages, onDelta) {
     const systemPrompt = this.buildSystemPrompt();
     
     // DEBUG LOGGING
@@ -210,6 +721,9 @@ class Agent {
     }
     console.log(`==============================================\n`);
     
+    if (onDelta && this.provider.chatStream) {
+      return await this.provider.chatStream(messages, systemPrompt, onDelta);
+    }
     return await this.provider.chat(messages, systemPrompt);
   }
 
@@ -225,67 +739,900 @@ class Agent {
       value,
       timestamp: Date.now()
     });
+    this.brain.conversationMemories = this.brain.conversationMemories.slice(-MAX_MEMORIES);
+  }
+
+  // Look back on a finished battle in character and keep what matters as
+  // first-person memories. Returns the memories written.
+  async reflect(history, selfIndex) {
+    const transcript = history.slice(-40)
+      .map(t => `${t.speakerIndex === selfIndex ? 'You' : t.speaker}: ${t.content.slice(0, 1000)}`)
+      .join('\n\n');
+    
+    const { text, usage } = await this.provider.chat([{
+      role: 'user',
+      content: `${transcript}\n\n---\n\n${REFLECTION_PROMPT}`
+    }], this.buildSystemPrompt());
+    
+    const memories = parseReflection(text).slice(0, 5);
+    memories.forEach(m => this.addMemory(m.key, m.value));
+    return { memories, usage };
+  }
+
+  recordConversation(turns) {
+    if (!this.brain) {
+      this.brain = { conversationMemories: [] };
+    }
+    const stats = this.brain.stats || {};
+    this.brain.stats = {
+      ...stats,
+      totalConversations: (stats.totalConversations || 0) + 1,
+      totalTurns: (stats.totalTurns || 0) + turns
+    };
   }
 }
 
 // ============================================================================
-// BATTLE
+// BRAIN STORAGE
 // ============================================================================
 
-class Battle {
-  constructor(config, db, broadcast) {
-    this.id = config.id || Date.now();
-    this.agents = config.agents || [];
-    this.prompt = config.prompt || null; // Shared prompt (null if using individual)
-    this.useIndividualPrompts = config.useIndividualPrompts || false;
-    this.anonymousMode = config.anonymousMode || false;
-    this.maxTurns = config.maxTurns || 20;
-    this.turnDelay = config.turnDelay || 3000;
-    this.maxWords = config.maxWords || null;
+// Brains live in SQLite as an append-only list of versions. Battles record
+// which version each agent loaded and which one it produced. Rolling back
+// appends a copy of the old version, so history is never rewritten.
+
+function parseVersion(row) {
+  return { ...row, data: JSON.parse(row.data) };
+}
+
+// What changed between two brain snapshots: memories added and removed,
+// stats before and after, and any other top-level keys that differ
+function diffBrains(before, after) {
+  before = before || {};
+  after = after || {};
+  const key = m => JSON.stringify(m);
+  const oldMemories = before.conversationMemories || [];
+  const newMemories = after.conversationMemories || [];
+  const oldKeys = new Set(oldMemories.map(key));
+  const newKeys = new Set(newMemories.map(key));
+  
+  return {
+    memories: {
+      added: newMemories.filter(m => !oldKeys.has(key(m))),
+      removed: oldMemories.filter(m => !newKeys.has(key(m)))
+    },
+    stats: { before: before.stats || null, after: after.stats || null },
+    changed: [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(k => k !== 'conversationMemories' && k !== 'stats')
+      .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+  };
+}
+
+// Every agent of every battle leaves a version behind, so old ones are pruned:
+// a brain keeps its latest versions, an owner their most recently used brains
+const MAX_BRAIN_VERSIONS = 50;
+const MAX_BRAINS_PER_OWNER = 100;
+
+class BrainStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // New brain whose first version is `data`, owned by `userId`
+  create(name, data, { userId = null, ...source } = {}) {
+    const now = Date.now();
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO brains (name, user_id, created_at, updated_at) VALUES (?, ?, ?, ?)
+    `).run(name, userId, now, now);
+    const created = this.addVersion(Number(lastInsertRowid), data, source);
+    this.prune(userId);
+    return created;
+  }
+
+  // Append `data` as the next version. `battleId` is set when a battle produced it.
+  addVersion(brainId, data, { battleId = null, note = null } = {}) {
+    const now = Date.now();
+    const { latest } = this.db.prepare(`
+      SELECT MAX(version) AS latest FROM brain_versions WHERE brain_id = ?
+    `).get(brainId);
+    const version = (latest || 0) + 1;
     
-    this.history = [];
-    this.turn = 0;
-    this.currentSpeaker = 0;
-    this.status = 'pending';
-    this.startTime = null;
-    this.endTime = null;
+    this.db.prepare(`
+      INSERT INTO brain_versions (brain_id, version, data, battle_id, note, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(brainId, version, JSON.stringify(data), battleId, note, now);
+    this.db.prepare(`UPDATE brains SET updated_at = ? WHERE id = ?`).run(now, brainId);
+    this.db.prepare(`DELETE FROM brain_versions WHERE brain_id = ? AND version <= ?`).run(brainId, version - MAX_BRAIN_VERSIONS);
     
-    this.db = db;
-    this.broadcast = broadcast || (() => {});
+    return { brainId, version };
   }
 
-  async initialize() {
-    for (const agent of this.agents) {
-      await agent.loadBrain();
-    }
+  // Drop an owner's least recently updated brains beyond MAX_BRAINS_PER_OWNER
+  prune(userId) {
+    const stale = this.db.prepare(`
+      SELECT id FROM brains WHERE user_id IS ? ORDER BY updated_at DESC, id DESC LIMIT -1 OFFSET ?
+    `).all(userId, MAX_BRAINS_PER_OWNER);
     
-    if (this.db) {
-      try {
-        this.db.prepare(`
-          INSERT INTO battles (id, prompt, max_turns, status, start_time, agents)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `).run(
-          this.id,
-          this.prompt,
-          this.maxTurns,
-          'pending',
-          Date.now(),
-          JSON.stringify(this.agents.map(a => ({ 
-            name: a.name, 
-            model: a.model,
-            hasBrain: !!a.brainPath 
-          })))
-        );
-      } catch (e) {
-        console.log('DB insert skipped:', e.message);
+    this.db.transaction(() => {
+      for (const { id } of stale) {
+        this.db.prepare(`DELETE FROM battle_brains WHERE brain_id = ?`).run(id);
+        this.db.prepare(`DELETE FROM brain_versions WHERE brain_id = ?`).run(id);
+        this.db.prepare(`DELETE FROM brains WHERE id = ?`).run(id);
       }
-    }
+    })();
   }
 
-  async start() {
-    this.status = 'running';
-    this.startTime = Date.now();
-    
+  get(brainId) {
+    return this.db.prepare(`SELECT * FROM brains WHERE id = ?`).get(brainId) || null;
+  }
+
+  // Brains without an owner are never handed out, not even to battles without one
+  owns(brainId, userId) {
+    if (userId == null) return false;
+    const brain = this.get(brainId);
+    return !!brain && brain.user_id === userId;
+  }
+
+  list(userId) {
+    return this.db.prepare(`
+      SELECT b.id, b.name, b.created_at, b.updated_at, MAX(v.version) AS latest_version
+      FROM brains b
+      LEFT JOIN brain_versions v ON v.brain_id = b.id
+      WHERE b.user_id IS ?
+      GROUP BY b.id
+      ORDER BY b.updated_at DESC
+    `).all(userId);
+  }
+
+  getVersion(brainId, version) {
+    const row = this.db.prepare(`
+      SELECT * FROM brain_versions WHERE brain_id = ? AND version = ?
+    `).get(brainId, version);
+    return row ? parseVersion(row) : null;
+  }
+
+  getLatest(brainId) {
+    const row = this.db.prepare(`
+      SELECT * FROM brain_versions WHERE brain_id = ? ORDER BY version DESC LIMIT 1
+    `).get(brainId);
+    return row ? parseVersion(row) : null;
+  }
+
+  // Versions newest first, with a memory count instead of the full data
+  listVersions(brainId) {
+    return this.db.prepare(`
+      SELECT * FROM brain_versions WHERE brain_id = ? ORDER BY version DESC
+    `).all(brainId).map(row => {
+      const { data, ...version } = parseVersion(row);
+      return { ...version, memories: data?.conversationMemories?.length || 0 };
+    });
+  }
+
+  diff(brainId, from, to) {
+    const before = this.getVersion(brainId, from);
+    const after = this.getVersion(brainId, to);
+    if (!before || !after) return null;
+    return { brainId, from, to, ...diffBrains(before.data, after.data) };
+  }
+
+  rollback(brainId, version) {
+    const target = this.getVersion(brainId, version);
+    if (!target) return null;
+    return this.addVersion(brainId, target.data, { note: `Rolled back to v${version}` });
+  }
+
+  // Which brain version each agent of a battle loaded and produced
+  getBattleBrains(battleId) {
+    return this.db.prepare(`
+      SELECT * FROM battle_brains WHERE battle_id = ? ORDER BY agent_index
+    `).all(battleId);
+  }
+
+  recordBattleBrain(battleId, agentIndex, { brainId, loadedVersion, producedVersion }) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO battle_brains (battle_id, agent_index, brain_id, loaded_version, produced_version)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(battleId, agentIndex, brainId, loadedVersion, producedVersion);
+  }
+}
+
+// ============================================================================
+// TURN POLICIES
+// ============================================================================
+
+// Each policy picks the index of the next speaker after `lastTurn`.
+// May return a promise (the director asks a model).
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Index of the participant named last in `text`, ignoring `excludeIndex`
+function findAddressedAgent(agents, text, excludeIndex) {
+  let best = -1;
+  let bestPos = -1;
+  
+  agents.forEach((agent, i) => {
+    if (i === excludeIndex || !agent.name) return;
+    const pattern = new RegExp(`\\b${escapeRegExp(agent.name)}\\b`, 'gi');
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      if (match.index > bestPos) {
+        best = i;
+        bestPos = match.index;
+      }
+    }
+  });
+  
+  return best;
+}
+
+const TURN_POLICIES = {
+  'round-robin': (battle) => (battle.currentSpeaker + 1) % battle.agents.length,
+
+  // Anyone but the agent who just spoke
+  random: (battle) => {
+    const count = battle.agents.length;
+    if (count < 2) return 0;
+    const offset = 1 + Math.floor(Math.random() * (count - 1));
+    return (battle.currentSpeaker + offset) % count;
+  },
+
+  // Whoever was named in the last turn goes next (latest mention wins),
+  // falling back to round-robin when nobody was addressed
+  addressed: (battle, lastTurn) => {
+    const index = findAddressedAgent(battle.agents, lastTurn.content, battle.currentSpeaker);
+    return index >= 0 ? index : TURN_POLICIES['round-robin'](battle);
+  },
+
+  // A moderator model reads the recent transcript and names the next speaker
+  director: async (battle, lastTurn) => {
+    const names = battle.agents.map(a => a.name);
+    const transcript = battle.history.slice(-6)
+      .map(t => `${t.speaker}: ${t.content}`)
+      .join('\n\n');
+    
+    try {
+      const { text: reply, usage } = await battle.director.chat([{
+        role: 'user',
+        content: `Participants: ${names.join(', ')}\n\nRecent conversation:\n\n${transcript}\n\n` +
+          `${lastTurn.speaker} just spoke. Who should speak next? Reply with one name only.`
+      }], 'You are the moderator of a conversation between AI agents. You choose who speaks next to keep the conversation interesting.');
+      battle.addOverhead(battle.director.model, usage);
+      
+      const index = findAddressedAgent(battle.agents, reply, battle.currentSpeaker);
+      if (index >= 0) return index;
+    } catch (e) {
+      console.error('Director error:', e.message);
+    }
+    
+    return TURN_POLICIES['round-robin'](battle);
+  }
+};
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+// Cheap lexical measures computed for every turn:
+//   words      - word count
+//   similarity - highest cosine similarity to any of the last few turns
+//   repetition - share of the turn's word trigrams already said earlier in the battle
+//   drift      - how far the turn's vocabulary has moved from the opening round
+// Everything but `words` is between 0 and 1.
+
+const SIMILARITY_WINDOW = 4;
+
+const STOP_WORDS = new Set(('a an and are as at be but by can do for from has have i if in is it ' +
+  'its me my not of on or so that the their there they this to was we were what with you your').split(' '));
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+function termCounts(words) {
+  const counts = new Map();
+  for (const word of words) {
+    if (!STOP_WORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (const [word, count] of a) {
+    normA += count * count;
+    if (b.has(word)) dot += count * b.get(word);
+  }
+  for (const count of b.values()) normB += count * count;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function trigrams(words) {
+  const grams = [];
+  for (let i = 0; i + 2 < words.length; i++) {
+    grams.push(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return grams;
+}
+
+const round = n => Math.round(n * 1000) / 1000;
+
+// Metrics for `content` given the turns before it. The first `openingTurns`
+// turns are the baseline vocabulary drift is measured against.
+function measureTurn(content, history, openingTurns) {
+  const words = tokenize(content);
+  const counts = termCounts(words);
+  
+  const similarity = Math.max(0, ...history.slice(-SIMILARITY_WINDOW)
+    .map(t => cosine(counts, termCounts(tokenize(t.content)))));
+  
+  const said = new Set(history.flatMap(t => trigrams(tokenize(t.content))));
+  const grams = trigrams(words);
+  const repetition = grams.length ? grams.filter(g => said.has(g)).length / grams.length : 0;
+  
+  const opening = history.slice(0, openingTurns).flatMap(t => tokenize(t.content));
+  const drift = opening.length ? 1 - cosine(counts, termCounts(opening)) : 0;
+  
+  return {
+    words: words.length,
+    similarity: round(similarity),
+    repetition: round(repetition),
+    drift: round(drift)
+  };
+}
+
+// ============================================================================
+// USAGE & COST
+// ============================================================================
+
+// Prices are USD per million tokens, keyed by model id:
+//   { "claude-sonnet-4-20250514": { "input": 3, "output": 15 } }
+// Models without a price (local Ollama models, say) have a null cost.
+
+// Rough token count for backends that don't report usage: about four characters per token
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function costOf(usage, price) {
+  if (!usage || !price) return null;
+  const cost = (usage.inputTokens * (price.input || 0) + usage.outputTokens * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Add up { inputTokens, outputTokens, cost } entries. Cost stays null when nothing was priced.
+function sumUsage(entries) {
+  return entries.reduce((total, e) => ({
+    inputTokens: total.inputTokens + (e?.inputTokens || 0),
+    outputTokens: total.outputTokens + (e?.outputTokens || 0),
+    cost: e?.cost == null ? total.cost : Math.round(((total.cost || 0) + e.cost) * 1e6) / 1e6
+  }), { inputTokens: 0, outputTokens: 0, cost: null });
+}
+
+// Usage of a stored turn row
+function rowUsage(row) {
+  if (row.input_tokens == null) return null;
+  return { inputTokens: row.input_tokens, outputTokens: row.output_tokens, cost: row.cost };
+}
+
+// ============================================================================
+// STOP CONDITIONS
+// ============================================================================
+
+// Checked after every turn, in order. The first one that returns true ends
+// the battle and its type becomes the battle's end reason. Running out of
+// turns (max_turns) and loop detection (loop_detected) are always on.
+
+const DEFAULT_SENTINEL = '[END]';
+const DEFAULT_AGREEMENT = '[AGREE]';
+
+// Match patterns come from the client and run against every turn, so they are
+// kept short and may not repeat a group that itself repeats or alternates,
+// like (a+)+ or (a|aa)*, which can backtrack for exponentially long
+const MAX_PATTERN_LENGTH = 200;
+
+function hasNestedQuantifier(pattern) {
+  const repeats = c => c === '+' || c === '*' || c === '{';
+  const groups = [false]; // Whether each open group repeats or alternates inside
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')' && groups.length > 1) {
+      const inner = groups.pop();
+      if (inner && repeats(pattern[i + 1])) return true;
+      if (inner) groups[groups.length - 1] = true;
+    } else if (repeats(c) || c === '|') {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+const STOP_CONDITIONS = {
+  // An agent says the sentinel token
+  sentinel: (battle, condition, lastTurn) =>
+    lastTurn.content.includes(condition.token || DEFAULT_SENTINEL),
+
+  // A turn matches a regex, or contains any of the keywords
+  match: (battle, condition, lastTurn) => {
+    if (condition.pattern) {
+      return new RegExp(condition.pattern, condition.flags ?? 'i').test(lastTurn.content);
+    }
+    const content = lastTurn.content.toLowerCase();
+    return (condition.keywords || []).some(k => content.includes(k.toLowerCase()));
+  },
+
+  // Every agent's latest turn carries the agreement signal
+  agreement: (battle, condition) => {
+    const signal = condition.signal || DEFAULT_AGREEMENT;
+    return battle.agents.every((_, i) =>
+      battle.history.findLast(t => t.speakerIndex === i)?.content.includes(signal));
+  },
+
+  // Wall-clock limit, in seconds since the battle started
+  time_limit: (battle, condition) =>
+    Date.now() - battle.startTime >= condition.seconds * 1000,
+
+  // Tokens (input + output) or dollars spent so far, judge and director calls included
+  budget: (battle, condition) => {
+    const { inputTokens, outputTokens, cost } = battle.usageTotals();
+    return (condition.maxTokens > 0 && inputTokens + outputTokens >= condition.maxTokens) ||
+      (condition.maxCost > 0 && cost >= condition.maxCost);
+  }
+};
+
+// What agents need to be told so they can trigger the conditions meant for them
+function stopInstructions(conditions) {
+  const lines = [];
+  for (const condition of conditions) {
+    if (condition.type === 'sentinel') {
+      lines.push(`When the conversation has reached its natural end, finish your message with ${condition.token || DEFAULT_SENTINEL}.`);
+    } else if (condition.type === 'agreement') {
+      lines.push(`If you come to genuinely agree with everyone else, finish your message with ${condition.signal || DEFAULT_AGREEMENT}.`);
+    }
+  }
+  return lines.join(' ') || null;
+}
+
+// ============================================================================
+// CONTEXT POLICIES
+// ============================================================================
+
+// How much history each turn replays:
+//   full    - the whole conversation (default)
+//   window  - only the last `windowTurns` turns
+//   summary - the last `windowTurns` turns verbatim, everything older folded
+//             into a rolling summary written by a cheap model
+const CONTEXT_MODES = ['full', 'window', 'summary'];
+
+const SUMMARY_SYSTEM_PROMPT = 'You compress conversation transcripts. Keep every position taken, ' +
+  'claim made, agreement, disagreement, open question and name, attributed to whoever said it. ' +
+  'Write in the third person, plainly, in under 250 words.';
+
+// ============================================================================
+// JUDGE
+// ============================================================================
+
+// An optional judge model reads the finished transcript and scores every
+// participant against a rubric
+
+const DEFAULT_RUBRIC = 'Score each participant from 1 to 10 on: insight (did they say anything ' +
+  'non-obvious), engagement (did they build on what others said), coherence (did they stay ' +
+  'consistent and on topic) and originality (did they move the conversation somewhere new).';
+
+const JUDGE_SYSTEM_PROMPT = 'You judge conversations between AI agents. Be fair, specific and ' +
+  'brief. Reply with only a JSON object of this shape: {"scores": [{"agent": "<name>", ' +
+  '"criteria": {"<criterion>": <number>}, "notes": "<one sentence>"}], "winner": "<name, or ' +
+  'null for a draw>", "verdict": "<one sentence>", "summary": "<a short paragraph on what ' +
+  'happened and anything interesting that emerged>"}';
+
+// Pull the judge's JSON out of its reply and keep only scores for real participants
+function parseJudgment(text, names) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('Judge reply had no JSON');
+  
+  const raw = JSON.parse(match[0]);
+  const scores = (Array.isArray(raw.scores) ? raw.scores : [])
+    .filter(s => s && names.includes(s.agent))
+    .map(s => {
+      const criteria = {};
+      for (const [name, value] of Object.entries(s.criteria || {})) {
+        if (typeof value === 'number') criteria[name] = value;
+      }
+      const values = Object.values(criteria);
+      return {
+        agent: s.agent,
+        criteria,
+        total: values.reduce((sum, v) => sum + v, 0),
+        notes: typeof s.notes === 'string' ? s.notes : ''
+      };
+    });
+  
+  return {
+    scores,
+    winner: names.includes(raw.winner) ? raw.winner : null,
+    verdict: typeof raw.verdict === 'string' ? raw.verdict : '',
+    summary: typeof raw.summary === 'string' ? raw.summary : ''
+  };
+}
+
+// ============================================================================
+// NARRATOR
+// ============================================================================
+
+// Events injected into a live battle from outside ("the power goes out").
+// They sit in history with role 'narrator' and reach either every agent or
+// only `targets` (agent indices). Delivery:
+//   next_turn - held until the next turn starts
+//   immediate - added now; a turn already streaming for a target is thrown
+//               away and started over with the event in view
+
+const INJECTION_DELIVERIES = ['next_turn', 'immediate'];
+
+function isVisibleTo(entry, index) {
+  return entry.role !== 'narrator' || !entry.targets || entry.targets.includes(index);
+}
+
+// Narration meant for some agents only is private: besides those agents, only
+// the battle's owner sees it, wherever the battle is shown
+function isPrivate(entry) {
+  return entry.role === 'narrator' && !!entry.targets;
+}
+
+function visibleTranscript(transcript, owner) {
+  return owner ? transcript : transcript.filter(t => !isPrivate(t));
+}
+
+// ============================================================================
+// BATTLE REQUESTS
+// ============================================================================
+
+// Battles are requested as the JSON arena.html posts to /api/battle. The
+// server and the experiment runner both turn it into a Battle config here.
+
+// Error message for the first stop condition that can't work, or null
+function validateStopConditions(conditions) {
+  if (conditions === undefined || conditions === null) return null;
+  if (!Array.isArray(conditions)) return 'stopConditions must be an array';
+  
+  for (const c of conditions) {
+    if (!Object.hasOwn(STOP_CONDITIONS, c?.type)) {
+      return `Unknown stop condition: ${c?.type}`;
+    }
+    if (c.type === 'match') {
+      if (!c.pattern && !c.keywords?.length) return 'match needs a pattern or keywords';
+      if (c.keywords !== undefined && !(Array.isArray(c.keywords) && c.keywords.every(k => typeof k === 'string'))) {
+        return 'match keywords must be an array of strings';
+      }
+      if (c.pattern !== undefined && typeof c.pattern !== 'string') return 'match pattern must be a string';
+      if (c.pattern?.length > MAX_PATTERN_LENGTH) return `match pattern is limited to ${MAX_PATTERN_LENGTH} characters`;
+      if (hasNestedQuantifier(c.pattern || '')) return 'match pattern may not repeat a group that repeats or alternates; use keywords instead';
+      try {
+        if (c.pattern) new RegExp(c.pattern, c.flags ?? 'i');
+      } catch (e) {
+        return `Invalid match pattern: ${e.message}`;
+      }
+    }
+    if (c.type === 'time_limit' && !(c.seconds > 0)) return 'time_limit needs seconds';
+    if (c.type === 'budget' && !(c.maxTokens > 0) && !(c.maxCost > 0)) return 'budget needs maxTokens or maxCost';
+  }
+  return null;
+}
+
+const MAX_RETRIES = 10;
+const MAX_RETRY_DELAY = 60000;
+
+// Error message for the first setting in a battle request that can't work, or null
+function validateBattleRequest(body) {
+  const { agents, turnPolicy, context, loopDetection, stopConditions, maxRetries, retryDelay } = body;
+  
+  if (!agents || agents.length < 2) return 'Need at least 2 agents';
+  if (turnPolicy && !Object.hasOwn(TURN_POLICIES, turnPolicy)) return `Unknown turn policy: ${turnPolicy}`;
+  if (context?.mode && !CONTEXT_MODES.includes(context.mode)) return `Unknown context mode: ${context.mode}`;
+  
+  const threshold = loopDetection?.threshold;
+  if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+    return 'loopDetection.threshold must be between 0 and 1';
+  }
+  if (maxRetries != null && !(Number.isInteger(maxRetries) && maxRetries >= 0 && maxRetries <= MAX_RETRIES)) {
+    return `maxRetries must be a whole number from 0 to ${MAX_RETRIES}`;
+  }
+  if (retryDelay != null && !(Number.isInteger(retryDelay) && retryDelay >= 0 && retryDelay <= MAX_RETRY_DELAY)) {
+    return `retryDelay must be a whole number of milliseconds from 0 to ${MAX_RETRY_DELAY}`;
+  }
+  
+  return validateStopConditions(stopConditions);
+}
+
+// Battle config for a validated request. `resolveProvider(name)` supplies
+// the endpoint and key for each provider.
+function battleConfig(body, { resolveProvider, defaultModel }) {
+  const { agents, prompt, useIndividualPrompts, anonymousMode, maxTurns, turnDelay, maxWords, turnPolicy, director, context, judge, loopDetection, stopConditions, reflect, maxRetries, retryDelay } = body;
+  
+  return {
+    agents: agents.map((a, i) => ({
+      name: a.name || `Agent ${i + 1}`,
+      displayName: a.displayName || a.name || `Agent ${i + 1}`,
+      model: a.model || defaultModel,
+      soul: a.soul || null,
+      brain: a.brain || null,
+      brainId: parseInt(a.brainId) || null, // Stored brain, latest version unless brainVersion is set
+      brainVersion: parseInt(a.brainVersion) || null,
+      prompt: a.prompt || null, // Individual prompt per agent
+      ...resolveProvider(a.provider || 'anthropic'),
+      anonymous: anonymousMode || false
+    })),
+    prompt: prompt || null,
+    useIndividualPrompts: useIndividualPrompts || false,
+    anonymousMode: anonymousMode || false,
+    maxTurns: maxTurns || 20,
+    turnDelay: turnDelay || 3000,
+    maxWords: maxWords || null,
+    turnPolicy: turnPolicy || 'round-robin',
+    reflect: reflect ?? true,
+    maxRetries: maxRetries ?? 3,
+    retryDelay: retryDelay || 2000,
+    director: {
+      ...resolveProvider(director?.provider || 'anthropic'),
+      model: director?.model || defaultModel
+    },
+    context: context && {
+      ...resolveProvider(context.provider || 'anthropic'),
+      mode: context.mode || 'full',
+      windowTurns: parseInt(context.windowTurns) || 10,
+      model: context.model || null
+    },
+    stopConditions: stopConditions || [],
+    loopDetection: loopDetection && {
+      threshold: loopDetection.threshold,
+      turns: parseInt(loopDetection.turns) || 3
+    },
+    judge: judge?.model && {
+      ...resolveProvider(judge.provider || 'anthropic'),
+      model: judge.model,
+      rubric: judge.rubric || null
+    }
+  };
+}
+
+// ============================================================================
+// BATTLE
+// ============================================================================
+
+// Battle ids are start timestamps, kept unique when several battles start in
+// the same millisecond. Every new battle and experiment takes its id from here.
+let lastBattleId = 0;
+function nextBattleId() {
+  lastBattleId = Math.max(Date.now(), lastBattleId + 1);
+  return lastBattleId;
+}
+
+// Rebuild a history entry from its row in the turns table
+function entryFromRow(t, agents) {
+  if (t.role === 'narrator') {
+    return {
+      role: 'narrator',
+      turn: t.turn_number,
+      speakerIndex: null,
+      speaker: t.speaker,
+      content: t.content,
+      targets: t.targets ? JSON.parse(t.targets) : null,
+      timestamp: t.timestamp
+    };
+  }
+  return {
+    turn: t.turn_number,
+    speakerIndex: t.speaker_index ?? agents.findIndex(a => a.name === t.speaker),
+    speaker: t.speaker,
+    model: t.model,
+    content: t.content,
+    metrics: t.metrics ? JSON.parse(t.metrics) : null,
+    usage: rowUsage(t),
+    timestamp: t.timestamp
+  };
+}
+
+class Battle {
+  constructor(config, db, broadcast) {
+    this.id = config.id || nextBattleId();
+    this.agents = config.agents || [];
+    this.prompt = config.prompt || null; // Shared prompt (null if using individual)
+    this.useIndividualPrompts = config.useIndividualPrompts || false;
+    this.anonymousMode = config.anonymousMode || false;
+    this.maxTurns = config.maxTurns || 20;
+    this.turnDelay = config.turnDelay || 3000;
+    this.maxWords = config.maxWords || null;
+    this.turnPolicy = config.turnPolicy || 'round-robin';
+    this.reflect = config.reflect ?? true; // Agents write memories when the battle ends
+    this.maxRetries = config.maxRetries ?? 3;
+    this.retryDelay = config.retryDelay || 2000; // Doubles with every attempt
+    this.directorConfig = config.director
+      ? { provider: config.director.provider, model: config.director.model }
+      : null;
+    this.director = this.turnPolicy === 'director'
+      ? createProvider({ ...config.director, maxTokens: 50 })
+      : null;
+    this.context = {
+      mode: config.context?.mode || 'full',
+      windowTurns: config.context?.windowTurns || 10,
+      provider: config.context?.provider || 'anthropic',
+      model: config.context?.model || 'claude-haiku-4-20250514'
+    };
+    this.summarizer = this.context.mode === 'summary'
+      ? createProvider({ ...config.context, ...this.context, maxTokens: 500 })
+      : null;
+    this.summary = null; // { text, through } - rolling summary of history[0..through)
+    this.judgeConfig = config.judge
+      ? { provider: config.judge.provider, model: config.judge.model, rubric: config.judge.rubric || null }
+      : null;
+    this.judge = config.judge ? createProvider({ ...config.judge, maxTokens: 2000 }) : null;
+    this.judgment = null; // Set by the judge once the battle completes
+    this.loopDetection = config.loopDetection // End early once `turns` turns in a row hit `threshold` similarity
+      ? { threshold: config.loopDetection.threshold ?? 0.8, turns: config.loopDetection.turns || 3 }
+      : null;
+    this.stopConditions = config.stopConditions || []; // [{ type, ...options }], see STOP_CONDITIONS
+    this.endReason = null; // Why the battle completed: max_turns, loop_detected or a stop condition type
+    this.userId = config.userId || null; // Who started it, for usage summaries
+    this.prices = config.prices || {}; // USD per million tokens by model, see USAGE & COST
+    this.overhead = sumUsage([]); // Director, summary, reflection and judge calls
+    this.fork = config.fork || null; // { parentId, turn, edited } when branched off another battle
+    
+    this.opening = null; // First speaker's opening message, set on start
+    this.history = []; // Agent turns and narrator events, in order
+    this.pendingInjections = []; // Narrator events waiting for the next turn
+    this.interrupted = false; // Set when an immediate injection should restart the current turn
+    this.turn = 0;
+    this.currentSpeaker = 0;
+    this.status = 'pending';
+    this.error = null; // Set when a turn fails for good, cleared by retry()
+    this.startTime = null;
+    this.endTime = null;
+    this.turnInFlight = false; // A provider call for the current turn is out, even if paused meanwhile
+    this.resetEnded();
+    
+    this.partialTurn = null; // Turn currently streaming, for late joiners
+    this.spectators = new Set(); // Sockets subscribed to this battle
+    
+    // Brain version each agent loaded and produced
+    this.brainRefs = this.agents.map(() => ({ brainId: null, loadedVersion: null, producedVersion: null }));
+    
+    const rules = stopInstructions(this.stopConditions);
+    this.agents.forEach(a => { a.rules = rules; });
+    
+    this.db = db;
+    this.brains = db ? new BrainStore(db) : null;
+    this.broadcast = broadcast || (() => {});
+  }
+
+  async initialize() {
+    for (const agent of this.agents) {
+      await agent.loadBrain(this.brains, this.userId);
+    }
+    this.storeLoadedBrains();
+    
+    if (this.db) {
+      try {
+        this.db.prepare(`
+          INSERT INTO battles (id, prompt, max_turns, status, start_time, agents, turn_policy, agent_configs, settings, user_id, parent_id, fork_turn, fork_edited)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          this.id,
+          this.prompt,
+          this.maxTurns,
+          'pending',
+          Date.now(),
+          JSON.stringify(this.agents.map(a => ({ 
+            name: a.name, 
+            model: a.model,
+            hasBrain: !!a.brainPath 
+          }))),
+          this.turnPolicy,
+          JSON.stringify(this.agents.map(a => a.toConfig())),
+          JSON.stringify(this.toSettings()),
+          this.userId,
+          this.fork?.parentId ?? null,
+          this.fork?.turn ?? null,
+          this.fork ? Number(this.fork.edited) : null
+        );
+        
+        this.brainRefs.forEach((ref, i) => {
+          if (ref.brainId) this.brains.recordBattleBrain(this.id, i, ref);
+        });
+      } catch (e) {
+        console.log('DB insert skipped:', e.message);
+      }
+    }
+  }
+
+  // Battle options beyond the dedicated columns, persisted so an interrupted
+  // battle can be rebuilt exactly as it was configured
+  toSettings() {
+    return {
+      useIndividualPrompts: this.useIndividualPrompts,
+      anonymousMode: this.anonymousMode,
+      turnDelay: this.turnDelay,
+      maxWords: this.maxWords,
+      turnPolicy: this.turnPolicy,
+      director: this.directorConfig,
+      context: this.context,
+      judge: this.judgeConfig,
+      loopDetection: this.loopDetection,
+      stopConditions: this.stopConditions,
+      reflect: this.reflect,
+      maxRetries: this.maxRetries,
+      retryDelay: this.retryDelay
+    };
+  }
+
+  // Pick up a battle from its database record after a restart. It comes
+  // back paused, waiting for someone to resume it.
+  async restore(record, turns) {
+    for (const agent of this.agents) {
+      await agent.loadBrain(this.brains, this.userId);
+    }
+    for (const ref of this.brains?.getBattleBrains(this.id) || []) {
+      this.brainRefs[ref.agent_index] = {
+        brainId: ref.brain_id,
+        loadedVersion: ref.loaded_version,
+        producedVersion: ref.produced_version
+      };
+    }
+    
+    this.history = turns.map(t => entryFromRow(t, this.agents));
+    if (record.overhead_usage) this.overhead = JSON.parse(record.overhead_usage);
+    this.turn = this.agentTurns().length;
+    this.currentSpeaker = record.current_speaker ?? this.turn % this.agents.length;
+    this.startTime = record.start_time;
+    this.opening = this.buildOpening();
+    
+    this.status = 'paused';
+    this.updateStatus('paused');
+  }
+
+  // Take over the parent's history before `fork.turn`. With `content` the
+  // forked turn is kept but rewritten; without it the turn is played again.
+  // Parent turns carry no usage here, their cost stays with the parent.
+  async seed(history, content = null) {
+    const { turn } = this.fork;
+    const original = history.find(t => t.role !== 'narrator' && t.turn === turn);
+    
+    this.history = history
+      .filter(t => t.role === 'narrator' ? t.turn <= turn : t.turn < turn)
+      .map(t => t.role === 'narrator' ? { ...t } : { ...t, usage: null });
+    
+    if (content) {
+      const agent = this.agents[original.speakerIndex];
+      this.history.push({
+        turn,
+        speakerIndex: original.speakerIndex,
+        speaker: agent.name,
+        model: agent.model,
+        content,
+        metrics: measureTurn(content, this.agentTurns(), this.agents.length),
+        usage: null,
+        timestamp: Date.now()
+      });
+    }
+    this.turn = this.agentTurns().length;
+    
+    const last = this.agentTurns().at(-1);
+    this.currentSpeaker = !content && original ? original.speakerIndex
+      : last ? await this.nextSpeaker(last) : 0;
+    
+    this.history.forEach(t => t.role === 'narrator' ? this.saveNarration(t) : this.saveTurn(t));
+    this.saveSpeaker();
+  }
+
+  async start() {
+    this.status = 'running';
+    this.startTime = Date.now();
+    
     // DEBUG LOGGING
     console.log(`\n########## BATTLE START DEBUG ##########`);
     console.log(`Battle ID: ${this.id}`);
@@ -309,6 +1656,13 @@ class Battle {
       prompt: this.prompt
     });
 
+    this.opening = this.buildOpening();
+    console.log(`Final opening: ${this.opening.slice(0, 150)}...`);
+
+    await this.runTurn();
+  }
+
+  buildOpening() {
     // Build opening - Agent 0 starts
     const agent0 = this.agents[0];
     const basePrompt = agent0.prompt || this.prompt || 'Begin.';
@@ -317,20 +1671,14 @@ class Battle {
     console.log(`Opening prompt for Agent 0: ${basePrompt.slice(0, 100)}...`);
     
     // In anonymous mode, don't tell them about other participants
-    let opening;
     if (this.anonymousMode) {
-      opening = basePrompt;
-    } else {
-      const otherAgents = this.agents.slice(1).map(a => a.name).join(', ');
-      opening = `${basePrompt}\n\nYou are starting. Other participant(s): ${otherAgents}`;
+      return basePrompt;
     }
-    
-    console.log(`Final opening: ${opening.slice(0, 150)}...`);
-
-    await this.runTurn(opening);
+    const otherAgents = this.agents.slice(1).map(a => a.name).join(', ');
+    return `${basePrompt}\n\nYou are starting. Other participant(s): ${otherAgents}`;
   }
 
-  async runTurn(input) {
+  async runTurn() {
     if (this.status !== 'running') return;
     if (this.turn >= this.maxTurns) {
       await this.complete();
@@ -339,9 +1687,38 @@ class Battle {
 
     const agent = this.agents[this.currentSpeaker];
     
+    const turnInfo = {
+      battleId: this.id,
+      turn: this.turn,
+      speakerIndex: this.currentSpeaker,
+      speaker: agent.name,
+      model: agent.model
+    };
+    
+    this.pendingInjections.splice(0).forEach(entry => this.deliver(entry));
+    this.turnInFlight = true;
+    
     try {
-      const messages = this.buildMessages(this.currentSpeaker, input);
-      const response = await agent.respond(messages);
+      await this.updateSummary();
+      
+      let messages, response, usage;
+      for (;;) {
+        this.interrupted = false;
+        messages = this.buildMessages(this.currentSpeaker);
+        ({ text: response, usage } = await this.respondWithRetry(agent, messages, turnInfo));
+        if (!this.interrupted) break;
+        
+        // A narrator event landed mid-turn; ask again with it in view
+        this.addOverhead(agent.model, usage);
+      }
+      this.turnInFlight = false;
+      this.partialTurn = null;
+      
+      const tokens = usage || {
+        inputTokens: estimateTokens(agent.buildSystemPrompt() + messages.map(m => m.content).join('')),
+        outputTokens: estimateTokens(response),
+        estimated: true
+      };
       
       const turnData = {
         turn: this.turn,
@@ -349,6 +1726,8 @@ class Battle {
         speaker: agent.name,
         model: agent.model,
         content: response,
+        metrics: measureTurn(response, this.agentTurns(), this.agents.length),
+        usage: { ...tokens, cost: costOf(tokens, this.prices[agent.model]) },
         timestamp: Date.now()
       };
       
@@ -358,157 +1737,1284 @@ class Battle {
       this.saveTurn(turnData);
       
       this.broadcast({
-        type: 'turn',
+        type: 'turn_end',
         battleId: this.id,
-        ...turnData
+        ...turnData,
+        totals: this.usageTotals()
       });
 
       console.log(`\n[${this.turn}] ${agent.name} (${agent.model}):`);
       console.log(response);
       console.log('---');
 
-      this.currentSpeaker = (this.currentSpeaker + 1) % this.agents.length;
+      if (this.detectLoop()) {
+        console.log(`🔁 Loop detected after turn ${this.turn}, stopping early`);
+        await this.complete('loop_detected');
+        return;
+      }
+      
+      const stopped = this.checkStopConditions(turnData);
+      if (stopped) {
+        console.log(`🛑 Stop condition ${stopped} fired after turn ${this.turn}`);
+        await this.complete(stopped);
+        return;
+      }
+
+      this.currentSpeaker = await this.nextSpeaker(turnData);
+      this.saveSpeaker();
 
       if (this.turn < this.maxTurns && this.status === 'running') {
-        setTimeout(() => this.runTurn(response), this.turnDelay);
+        setTimeout(() => this.runTurn(), this.turnDelay);
       } else if (this.turn >= this.maxTurns) {
         await this.complete();
       }
 
     } catch (error) {
+      this.turnInFlight = false;
+      this.partialTurn = null;
       console.error(`❌ Turn error:`, error.message);
-      this.broadcast({
-        type: 'error',
-        battleId: this.id,
-        error: error.message
-      });
+      this.fail(error);
     }
   }
 
-  buildMessages(speakerIndex, lastMessage) {
+  // Ask the agent for its turn, retrying transient provider errors with
+  // exponential backoff. Each attempt restarts the streamed turn from scratch.
+  async respondWithRetry(agent, messages, turnInfo) {
+    for (let attempt = 0; ; attempt++) {
+      this.partialTurn = { ...turnInfo, content: '' };
+      this.broadcast({ type: 'turn_start', ...turnInfo });
+      
+      try {
+        return await agent.respond(messages, delta => {
+          if (this.interrupted) return;
+          this.partialTurn.content += delta;
+          this.broadcast({ type: 'turn_delta', ...turnInfo, delta });
+        });
+      } catch (error) {
+        if (attempt >= this.maxRetries || !isTransientError(error) || this.status !== 'running') {
+          throw error;
+        }
+        
+        const delay = this.retryDelay * 2 ** attempt;
+        console.log(`🔁 Retrying turn ${turnInfo.turn} in ${delay}ms (${error.message})`);
+        this.broadcast({
+          type: 'turn_retry',
+          ...turnInfo,
+          attempt: attempt + 1,
+          maxRetries: this.maxRetries,
+          delay,
+          error: error.message
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  fail(error) {
+    this.status = 'errored';
+    this.error = {
+      turn: this.turn,
+      speakerIndex: this.currentSpeaker,
+      message: error.message,
+      timestamp: Date.now()
+    };
+    
+    this.updateStatus('errored');
+    this.broadcast({
+      type: 'error',
+      battleId: this.id,
+      status: 'errored',
+      turn: this.turn,
+      speakerIndex: this.currentSpeaker,
+      error: error.message
+    });
+    this.settle();
+  }
+
+  // `ended` resolves once the battle completes, fails or pauses. Retrying and
+  // resuming need a new one, since the failure or pause settled the last.
+  resetEnded() {
+    this.ended = new Promise(resolve => { this.settle = resolve; });
+  }
+
+  // Re-attempt the failed turn; history up to the failure is kept
+  retry() {
+    if (this.status !== 'errored') return false;
+    
+    this.status = 'running';
+    this.error = null;
+    this.resetEnded();
+    this.updateStatus('running');
+    this.broadcast({ type: 'resumed', battleId: this.id });
+    
+    this.runTurn();
+    return true;
+  }
+
+  async nextSpeaker(lastTurn) {
+    const policy = Object.hasOwn(TURN_POLICIES, this.turnPolicy) ? TURN_POLICIES[this.turnPolicy] : TURN_POLICIES['round-robin'];
+    return await policy(this, lastTurn);
+  }
+
+  // Turns replayed verbatim this turn, per the context policy
+  contextStart() {
+    const { mode, windowTurns } = this.context;
+    if (mode === 'window') {
+      return Math.max(0, this.history.length - windowTurns);
+    }
+    if (mode === 'summary') {
+      return this.summary?.through || 0;
+    }
+    return 0;
+  }
+
+  // Fold turns that fell out of the window into the rolling summary. Runs in
+  // batches of half a window so the summarizer isn't called on every turn.
+  async updateSummary() {
+    if (!this.summarizer) return;
+    
+    const { windowTurns } = this.context;
+    const from = this.summary?.through || 0;
+    const through = this.history.length - windowTurns;
+    if (through - from < Math.max(1, Math.ceil(windowTurns / 2))) return;
+    
+    // The summary is shared by everyone, so private narrator events stay out of it
+    const transcript = visibleTranscript(this.history.slice(from, through), false)
+      .map(t => `${t.speaker}: ${t.content}`)
+      .join('\n\n');
+    const content = (this.summary ? `Summary so far:\n\n${this.summary.text}\n\n` : '') +
+      `Conversation to add:\n\n${transcript}\n\nWrite the updated summary.`;
+    
+    try {
+      const { text, usage } = await this.summarizer.chat([{ role: 'user', content }], SUMMARY_SYSTEM_PROMPT);
+      this.addOverhead(this.summarizer.model, usage);
+      this.summary = { text, through };
+      console.log(`🗜️ Summarized turns ${from + 1}-${through}`);
+    } catch (e) {
+      // Keep replaying the unsummarized turns and try again next turn
+      console.error('Summary error:', e.message);
+    }
+  }
+
+  // How other participants see a speaker's name in multi-party battles
+  speakerLabel(index) {
+    return this.anonymousMode ? `Participant ${index + 1}` : this.agents[index].name;
+  }
+
+  // The conversation from one agent's point of view: its own turns are
+  // `assistant`, everyone else's are `user`. Consecutive turns from others are
+  // merged into a single message so roles always alternate, and with 3+ agents
+  // each is prefixed with the speaker's name so nobody loses track of who said what.
+  buildMessages(speakerIndex) {
+    const multiParty = this.agents.length > 2;
     const messages = [];
-    const agent = this.agents[speakerIndex];
+    const push = (role, content) => {
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${content}`;
+      } else {
+        messages.push({ role, content });
+      }
+    };
     
-    // History of conversation
-    for (const entry of this.history) {
-      const role = entry.speakerIndex === speakerIndex ? 'assistant' : 'user';
-      messages.push({ role, content: entry.content });
+    // Providers expect the conversation to open with a user message, so the
+    // opening prompt leads whenever this agent spoke first
+    const firstTurn = this.history.find(t => t.role !== 'narrator');
+    if (this.opening && (!firstTurn || firstTurn.speakerIndex === speakerIndex)) {
+      push('user', this.opening);
     }
     
-    // Build the last message content
-    let lastMessageContent = lastMessage || '';
+    // Older turns left out by the context policy
+    const start = this.contextStart();
+    if (start > 0 && this.summary) {
+      push('user', `[Summary of the earlier conversation]\n\n${this.summary.text}`);
+    } else if (start > 0) {
+      push('user', `[${start} earlier turns omitted]`);
+    }
     
-    // Add word limit constraint EVERY turn if set (this is fine to show)
-    if (this.maxWords && lastMessage) {
-      lastMessageContent = `[${this.maxWords} words max]\n\n${lastMessage}`;
+    // History of conversation
+    for (const entry of this.history.slice(start)) {
+      if (!isVisibleTo(entry, speakerIndex)) continue;
+      
+      if (entry.role === 'narrator') {
+        push('user', `[Narrator] ${entry.content}`);
+      } else if (entry.speakerIndex === speakerIndex) {
+        push('assistant', entry.content);
+      } else if (multiParty) {
+        push('user', `${this.speakerLabel(entry.speakerIndex)}: ${entry.content}`);
+      } else {
+        push('user', entry.content);
+      }
     }
     
-    if (lastMessageContent) {
-      messages.push({ role: 'user', content: lastMessageContent });
+    // Add word limit constraint EVERY turn if set (this is fine to show)
+    const last = messages[messages.length - 1];
+    if (this.maxWords && last?.role === 'user') {
+      last.content = `[${this.maxWords} words max]\n\n${last.content}`;
     }
     
     return messages;
   }
 
+  // Waiting for the arena to free a slot, which calls start()
+  queue() {
+    this.status = 'queued';
+    this.updateStatus('queued');
+  }
+
   pause() {
+    // A queued battle keeps its place in line; a finished or failed one has nothing to pause
+    if (this.status !== 'running') return;
+    
     this.status = 'paused';
     this.updateStatus('paused');
     this.broadcast({ type: 'paused', battleId: this.id });
+    this.settle();
+  }
+
+  resume() {
+    if (this.status !== 'paused') return;
+    
+    this.status = 'running';
+    this.resetEnded();
+    this.updateStatus('running');
+    this.broadcast({ type: 'resumed', battleId: this.id });
+    
+    // Paused mid-turn: that turn carries on by itself once it comes back
+    if (!this.turnInFlight) setTimeout(() => this.runTurn(), this.turnDelay);
+  }
+
+  agentTurns() {
+    return this.history.filter(t => t.role !== 'narrator');
+  }
+
+  // Drop a narrator event into the battle. Returns the entry.
+  inject({ content, targets = null, delivery = 'next_turn' }) {
+    const entry = {
+      role: 'narrator',
+      speakerIndex: null,
+      speaker: 'Narrator',
+      content,
+      targets: targets?.length ? targets : null,
+      timestamp: Date.now()
+    };
+    
+    if (delivery === 'immediate') {
+      this.deliver(entry);
+      // The reply in progress is discarded once it arrives, so spectators
+      // can drop it now
+      if (this.partialTurn && isVisibleTo(entry, this.partialTurn.speakerIndex)) {
+        this.interrupted = true;
+        this.partialTurn.content = '';
+        this.broadcast({ type: 'turn_interrupted', battleId: this.id, turn: this.partialTurn.turn, speakerIndex: this.partialTurn.speakerIndex });
+      }
+    } else {
+      this.pendingInjections.push(entry);
+      this.broadcast({ type: 'narrator_queued', battleId: this.id, ...entry });
+    }
+    return entry;
+  }
+
+  deliver(entry) {
+    entry.turn = this.turn; // Comes before this turn
+    this.history.push(entry);
+    this.saveNarration(entry);
+    this.broadcast({ type: 'narrator', battleId: this.id, ...entry });
+    console.log(`\n📢 Narrator${entry.targets ? ` (to ${entry.targets.join(', ')})` : ''}: ${entry.content}`);
+  }
+
+  // True once the last `turns` turns were all too similar to what came before
+  detectLoop() {
+    if (!this.loopDetection) return false;
+    
+    const { threshold, turns } = this.loopDetection;
+    const recent = this.agentTurns().slice(-turns);
+    return recent.length === turns && recent.every(t => t.metrics?.similarity >= threshold);
+  }
+
+  // Type of the first stop condition that fires, if any
+  checkStopConditions(lastTurn) {
+    const fired = this.stopConditions.find(condition => {
+      try {
+        return Object.hasOwn(STOP_CONDITIONS, condition.type) && STOP_CONDITIONS[condition.type](this, condition, lastTurn);
+      } catch (e) {
+        console.error(`Stop condition ${condition.type} failed:`, e.message);
+        return false;
+      }
+    });
+    return fired?.type || null;
+  }
+
+  async complete(reason = 'max_turns') {
+    this.status = 'complete';
+    this.endTime = Date.now();
+    this.endReason = reason;
+    
+    // Save memories to agent brains
+    for (const [i, agent] of this.agents.entries()) {
+      const others = this.agents.filter((_, j) => j !== i).map(a => a.name).join(', ');
+      agent.addMemory('arena_battle', `Talked with ${others} for ${this.turn} turns${this.prompt ? ` about: ${this.prompt.slice(0, 200)}` : ''}`);
+      
+      if (this.reflect && this.history.length) {
+        try {
+          const { memories, usage } = await agent.reflect(this.history.filter(t => isVisibleTo(t, i)), i);
+          this.addOverhead(agent.model, usage);
+          console.log(`🪞 ${agent.name} kept ${memories.length} memories`);
+        } catch (e) {
+          console.error(`Reflection failed for ${agent.name}:`, e.message);
+        }
+      }
+      
+      agent.recordConversation(this.turn);
+      await agent.saveBrain();
+      this.storeProducedBrain(i);
+    }
+    
+    this.updateStatus('complete');
+    this.broadcast({
+      type: 'complete',
+      battleId: this.id,
+      reason: this.endReason,
+      usage: this.usageTotals(),
+      turns: this.turn,
+      duration: this.endTime - this.startTime
+    });
+    
+    console.log(`\n🏁 Battle complete. ${this.turn} turns.`);
+    
+    if (this.judge && this.history.length) {
+      await this.runJudge();
+    }
+    this.settle();
+  }
+
+  async runJudge() {
+    const names = this.agents.map(a => a.name);
+    const transcript = this.history.map(t => `${t.speaker}: ${t.content}`).join('\n\n');
+    const content = `Participants: ${names.join(', ')}\n` +
+      (this.prompt ? `Topic: ${this.prompt}\n` : '') +
+      `\nTranscript:\n\n${transcript}\n\n---\n\nRubric: ${this.judgeConfig.rubric || DEFAULT_RUBRIC}`;
+    
+    try {
+      const { text: reply, usage } = await this.judge.chat([{ role: 'user', content }], JUDGE_SYSTEM_PROMPT);
+      this.addOverhead(this.judge.model, usage);
+      this.judgment = { ...parseJudgment(reply, names), model: this.judgeConfig.model, judgedAt: Date.now() };
+      console.log(`⚖️ Judge verdict: ${this.judgment.verdict}`);
+    } catch (e) {
+      console.error('Judge error:', e.message);
+      this.judgment = { error: e.message, model: this.judgeConfig.model, judgedAt: Date.now() };
+    }
+    
+    this.saveJudgment();
+    this.broadcast({
+      type: 'judgment',
+      battleId: this.id,
+      judgment: this.judgment
+    });
+  }
+
+  // Inline and file brains get a stored record on the way in, so the battle
+  // can point at the exact version each agent started from
+  // Battles started without a login keep their brains inline, out of the store
+  storeLoadedBrains() {
+    if (!this.brains || !this.userId) return;
+    
+    this.agents.forEach((agent, i) => {
+      try {
+        if (agent.brain && !agent.brainId) {
+          const name = agent.brainPath ? path.basename(agent.brainPath, '.json') : agent.name;
+          const { brainId, version } = this.brains.create(name, agent.brain, { userId: this.userId, note: 'Imported' });
+          agent.brainId = brainId;
+          agent.brainVersion = version;
+        }
+        if (agent.brainId) {
+          this.brainRefs[i] = { brainId: agent.brainId, loadedVersion: agent.brainVersion, producedVersion: null };
+        }
+      } catch (e) {
+        console.log('Brain store skipped:', e.message);
+      }
+    });
+  }
+
+  // Save what the agent knows after the battle as a new version
+  storeProducedBrain(i) {
+    const agent = this.agents[i];
+    if (!this.brains || !this.userId || !agent.brain) return;
+    
+    try {
+      const source = { battleId: this.id, note: `After battle ${this.id}` };
+      const { brainId, version } = agent.brainId
+        ? this.brains.addVersion(agent.brainId, agent.brain, source)
+        : this.brains.create(agent.name, agent.brain, { ...source, userId: this.userId });
+      agent.brainId = brainId;
+      agent.brainVersion = version;
+      
+      this.brainRefs[i] = { ...this.brainRefs[i], brainId, producedVersion: version };
+      this.brains.recordBattleBrain(this.id, i, this.brainRefs[i]);
+      console.log(`🧠 ${agent.name} brain ${brainId} is now v${version}`);
+    } catch (e) {
+      console.error(`Failed to store brain for ${agent.name}:`, e.message);
+    }
+  }
+
+  saveTurn(turnData) {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        INSERT INTO turns (battle_id, turn_number, speaker_index, speaker, model, content, metrics, input_tokens, output_tokens, cost, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        this.id, turnData.turn, turnData.speakerIndex, turnData.speaker, turnData.model, turnData.content,
+        JSON.stringify(turnData.metrics), turnData.usage?.inputTokens, turnData.usage?.outputTokens, turnData.usage?.cost,
+        turnData.timestamp
+      );
+    } catch (e) {
+      // Silent fail for DB issues
+    }
+  }
+
+  saveSpeaker() {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        UPDATE battles SET current_speaker = ? WHERE id = ?
+      `).run(this.currentSpeaker, this.id);
+    } catch (e) {
+      // Silent fail
+    }
+  }
+
+  saveNarration(entry) {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        INSERT INTO turns (battle_id, turn_number, role, speaker, content, targets, timestamp)
+        VALUES (?, ?, 'narrator', ?, ?, ?, ?)
+      `).run(this.id, entry.turn, entry.speaker, entry.content, entry.targets && JSON.stringify(entry.targets), entry.timestamp);
+    } catch (e) {
+      // Silent fail for DB issues
+    }
+  }
+
+  // Count tokens spent outside agent turns toward the battle's totals
+  addOverhead(model, usage) {
+    if (!usage) return;
+    this.overhead = sumUsage([this.overhead, { ...usage, cost: costOf(usage, this.prices[model]) }]);
+    
+    if (!this.db) return;
+    try {
+      this.db.prepare(`
+        UPDATE battles SET overhead_usage = ? WHERE id = ?
+      `).run(JSON.stringify(this.overhead), this.id);
+    } catch (e) {
+      // Silent fail
+    }
+  }
+
+  // Tokens and cost so far: per agent, outside turns, and overall
+  usageTotals() {
+    const byAgent = this.agents.map((agent, i) => ({
+      name: agent.name,
+      model: agent.model,
+      ...sumUsage(this.history.filter(t => t.speakerIndex === i).map(t => t.usage))
+    }));
+    return { ...sumUsage([...byAgent, this.overhead]), byAgent, overhead: this.overhead };
   }
 
-  resume() {
-    if (this.status !== 'paused') return;
-    
-    this.status = 'running';
-    this.updateStatus('running');
-    this.broadcast({ type: 'resumed', battleId: this.id });
-    
-    const lastEntry = this.history[this.history.length - 1];
-    if (lastEntry) {
-      setTimeout(() => this.runTurn(lastEntry.content), this.turnDelay);
-    }
+  saveJudgment() {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        UPDATE battles SET judgment = ? WHERE id = ?
+      `).run(JSON.stringify(this.judgment), this.id);
+    } catch (e) {
+      // Silent fail
+    }
+  }
+
+  updateStatus(status) {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        UPDATE battles SET status = ?, end_time = ?, end_reason = ? WHERE id = ?
+      `).run(status, status === 'complete' ? Date.now() : null, this.endReason, this.id);
+    } catch (e) {
+      // Silent fail
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      agents: this.agents.map(a => ({ name: a.name, model: a.model, hasBrain: !!a.brainPath })),
+      prompt: this.prompt,
+      status: this.status,
+      turn: this.turn,
+      maxTurns: this.maxTurns,
+      turnPolicy: this.turnPolicy,
+      loopDetection: this.loopDetection,
+      stopConditions: this.stopConditions,
+      endReason: this.endReason,
+      fork: this.fork,
+      usage: this.usageTotals(),
+      context: {
+        ...this.context,
+        summary: this.summary?.text || null,
+        summarizedThrough: this.summary?.through || 0
+      },
+      error: this.error,
+      judge: this.judgeConfig && { provider: this.judgeConfig.provider, model: this.judgeConfig.model },
+      judgment: this.judgment,
+      brains: this.brainRefs,
+      history: this.history,
+      pendingInjections: this.pendingInjections,
+      partialTurn: this.partialTurn,
+      spectators: this.spectators.size
+    };
+  }
+
+  // toJSON() as `userId` sees it
+  viewFor(userId) {
+    const owner = !!this.userId && this.userId === userId;
+    const json = this.toJSON();
+    return {
+      ...json,
+      history: visibleTranscript(json.history, owner),
+      pendingInjections: visibleTranscript(json.pendingInjections, owner)
+    };
+  }
+}
+
+// ============================================================================
+// EXPERIMENTS
+// ============================================================================
+
+// An experiment runs one battle request over a parameter grid:
+//
+//   {
+//     "name": "anonymity",
+//     "base": { ...a /api/battle request... },
+//     "grid": { "anonymousMode": [false, true], "agents.1.model": ["claude-sonnet-4-20250514", "gpt-4o"] },
+//     "repetitions": 20,
+//     "concurrency": 2
+//   }
+//
+// Grid keys are dotted paths into `base`. Every combination of values is a
+// cell and every cell runs `repetitions` times, at most `concurrency` battles
+// at once. Agents don't reflect unless `base` says so, so every repetition
+// starts from the same brains.
+
+const MAX_EXPERIMENT_RUNS = 1000;
+const MAX_CONCURRENCY = 8;
+
+// Copy of `obj` with the value at dotted `path` replaced
+function setPath(obj, path, value) {
+  const [key, ...rest] = path.split('.');
+  const copy = Array.isArray(obj) ? [...obj] : { ...obj };
+  copy[key] = rest.length ? setPath(copy[key], rest.join('.'), value) : value;
+  return copy;
+}
+
+// Every combination of grid values, as { path: value } objects
+function expandGrid(grid = {}) {
+  return Object.entries(grid).reduce(
+    (cells, [path, values]) => cells.flatMap(cell => values.map(value => ({ ...cell, [path]: value }))),
+    [{}]
+  );
+}
+
+// The battle request for one cell of the grid
+function applyParams(base, params) {
+  return Object.entries(params).reduce((request, [path, value]) => setPath(request, path, value), { reflect: false, ...base });
+}
+
+// Error message for the first problem with an experiment definition, or null
+function validateExperiment(definition) {
+  const { base, grid = {}, repetitions = 1, concurrency = 1 } = definition || {};
+  
+  if (!base || typeof base !== 'object') return 'base must be a battle request';
+  if (typeof grid !== 'object' || Array.isArray(grid)) return 'grid must map paths to lists of values';
+  for (const [path, values] of Object.entries(grid)) {
+    if (!Array.isArray(values) || !values.length) return `grid.${path} must be a non-empty array`;
+  }
+  if (!Number.isInteger(repetitions) || repetitions < 1) return 'repetitions must be a positive integer';
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    return `concurrency must be between 1 and ${MAX_CONCURRENCY}`;
+  }
+  
+  // Count the cells before building them; a wide grid multiplies fast
+  const size = Object.values(grid).reduce((n, values) => n * values.length, 1);
+  if (size * repetitions > MAX_EXPERIMENT_RUNS) {
+    return `${size} cells x ${repetitions} repetitions is more than ${MAX_EXPERIMENT_RUNS} runs`;
+  }
+  for (const params of expandGrid(grid)) {
+    const error = validateBattleRequest(applyParams(base, params));
+    if (error) return `${JSON.stringify(params)}: ${error}`;
+  }
+  return null;
+}
+
+function spread(values) {
+  if (!values.length) return null;
+  return {
+    mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+// Turns, end reasons, usage and judge scores across the finished runs
+function summarizeRuns(runs) {
+  const finished = runs.filter(r => r.status === 'complete' || r.status === 'errored');
+  const endReasons = {};
+  const wins = {};
+  const scores = {};
+  let judged = 0, draws = 0;
+  
+  for (const run of finished) {
+    const reason = run.status === 'errored' ? 'errored' : run.endReason;
+    endReasons[reason] = (endReasons[reason] || 0) + 1;
+    
+    const j = run.judgment;
+    if (!j || j.error) continue;
+    judged++;
+    if (j.winner) wins[j.winner] = (wins[j.winner] || 0) + 1;
+    else draws++;
+    j.scores.forEach(s => { (scores[s.agent] ||= []).push(s.total); });
+  }
+  
+  return {
+    runs: runs.length,
+    finished: finished.length,
+    turns: spread(finished.map(r => r.turns)),
+    endReasons,
+    usage: sumUsage(finished.map(r => r.usage)),
+    judge: judged ? {
+      judged,
+      draws,
+      wins,
+      scores: Object.fromEntries(Object.entries(scores).map(([agent, totals]) => [agent, spread(totals)]))
+    } : null
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class Experiment {
+  constructor(definition, arena, { id, resolveProvider, defaultModel, prices = {}, userId = null } = {}) {
+    this.id = id || nextBattleId();
+    this.name = definition.name || `Experiment ${this.id}`;
+    this.definition = definition;
+    this.repetitions = definition.repetitions || 1;
+    this.concurrency = definition.concurrency || 1;
+    this.cells = expandGrid(definition.grid);
+    this.runs = this.cells.flatMap((params, cell) => Array.from({ length: this.repetitions }, (_, repetition) => ({
+      cell,
+      repetition,
+      params,
+      battleId: null,
+      status: 'queued',
+      turns: 0,
+      endReason: null,
+      judgment: null,
+      usage: null,
+      error: null
+    })));
+    this.status = 'pending';
+    this.userId = userId;
+    this.startTime = null;
+    this.endTime = null;
+    this.done = null; // Set by Arena.startExperiment, resolves once every run has finished
+    
+    this.arena = arena;
+    this.db = arena.db;
+    this.options = { resolveProvider, defaultModel, prices };
+  }
+
+  // Pick up a stored experiment. One still marked running was cut off by a restart.
+  restore(record, rows) {
+    this.status = record.status === 'running' ? 'interrupted' : record.status;
+    this.userId = record.user_id;
+    this.startTime = record.start_time;
+    this.endTime = record.end_time;
+    this.runs = rows.map(r => ({
+      cell: r.cell,
+      repetition: r.repetition,
+      params: JSON.parse(r.params),
+      battleId: r.battle_id,
+      status: r.status,
+      turns: r.turns || 0,
+      endReason: r.end_reason,
+      judgment: r.judgment ? JSON.parse(r.judgment) : null,
+      usage: rowUsage(r),
+      error: r.error
+    }));
+  }
+
+  // Work through the queue with `concurrency` battles in flight
+  async run() {
+    this.status = 'running';
+    this.startTime = Date.now();
+    this.saveStatus();
+    console.log(`🧪 Experiment ${this.id}: ${this.cells.length} cells x ${this.repetitions} runs`);
+    
+    const queue = this.runs.filter(r => r.status === 'queued');
+    const worker = async () => {
+      for (let run = queue.shift(); run; run = queue.shift()) {
+        await this.runOne(run);
+      }
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+    
+    this.status = 'complete';
+    this.endTime = Date.now();
+    this.saveStatus();
+    console.log(`🧪 Experiment ${this.id} complete`);
+  }
+
+  async runOne(run) {
+    const { resolveProvider, defaultModel, prices } = this.options;
+    
+    try {
+      const request = applyParams(this.definition.base, run.params);
+      const battle = await this.arena.createBattle({
+        ...battleConfig(request, { resolveProvider, defaultModel }),
+        id: nextBattleId(),
+        userId: this.userId,
+        prices
+      });
+      
+      run.battleId = battle.id;
+      run.status = 'running';
+      this.saveRun(run);
+      
+      this.arena.schedule(battle);
+      await battle.ended;
+      
+      const { inputTokens, outputTokens, cost } = battle.usageTotals();
+      Object.assign(run, {
+        status: battle.status,
+        turns: battle.turn,
+        endReason: battle.endReason,
+        judgment: battle.judgment,
+        usage: { inputTokens, outputTokens, cost },
+        error: battle.error?.message || null
+      });
+    } catch (e) {
+      console.error(`Experiment ${this.id} run failed:`, e.message);
+      Object.assign(run, { status: 'errored', error: e.message });
+    }
+    this.saveRun(run);
+  }
+
+  save() {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        INSERT INTO experiments (id, name, definition, status, user_id, start_time)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(this.id, this.name, JSON.stringify(this.definition), this.status, this.userId, Date.now());
+      
+      const insert = this.db.prepare(`
+        INSERT INTO experiment_runs (experiment_id, cell, repetition, params, status)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      this.runs.forEach(r => insert.run(this.id, r.cell, r.repetition, JSON.stringify(r.params), r.status));
+    } catch (e) {
+      console.log('DB insert skipped:', e.message);
+    }
+  }
+
+  saveStatus() {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        UPDATE experiments SET status = ?, start_time = ?, end_time = ? WHERE id = ?
+      `).run(this.status, this.startTime, this.endTime, this.id);
+    } catch (e) {
+      // Silent fail
+    }
+  }
+
+  saveRun(run) {
+    if (!this.db) return;
+    
+    try {
+      this.db.prepare(`
+        UPDATE experiment_runs
+        SET battle_id = ?, status = ?, turns = ?, end_reason = ?, judgment = ?, input_tokens = ?, output_tokens = ?, cost = ?, error = ?
+        WHERE experiment_id = ? AND cell = ? AND repetition = ?
+      `).run(
+        run.battleId, run.status, run.turns, run.endReason, run.judgment && JSON.stringify(run.judgment),
+        run.usage?.inputTokens, run.usage?.outputTokens, run.usage?.cost, run.error,
+        this.id, run.cell, run.repetition
+      );
+    } catch (e) {
+      // Silent fail for DB issues
+    }
+  }
+
+  // One row per run: grid values as columns, then outcome and a score column per judged agent
+  toCSV() {
+    const paths = Object.keys(this.definition.grid || {});
+    const agents = [...new Set(this.runs.flatMap(r => r.judgment?.scores?.map(s => s.agent) || []))];
+    const header = ['experiment_id', 'cell', 'repetition', 'battle_id', ...paths, 'status', 'turns', 'end_reason',
+      'winner', ...agents.map(a => `score:${a}`), 'input_tokens', 'output_tokens', 'cost', 'error'];
+    
+    const rows = this.runs.map(r => [
+      this.id, r.cell, r.repetition, r.battleId,
+      ...paths.map(p => r.params[p]),
+      r.status, r.turns, r.endReason,
+      r.judgment?.winner,
+      ...agents.map(a => r.judgment?.scores?.find(s => s.agent === a)?.total),
+      r.usage?.inputTokens, r.usage?.outputTokens, r.usage?.cost, r.error
+    ]);
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  toJSONL() {
+    return this.runs.map(r => JSON.stringify({ experimentId: this.id, ...r }) + '\n').join('');
+  }
+
+  toJSON() {
+    // The base request can hold souls and secret directives, like a battle's agent configs
+    const { base, ...definition } = this.definition;
+    return {
+      id: this.id,
+      name: this.name,
+      status: this.status,
+      definition,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      stats: summarizeRuns(this.runs),
+      cells: this.cells.map((params, cell) => ({
+        cell,
+        params,
+        stats: summarizeRuns(this.runs.filter(r => r.cell === cell))
+      })),
+      runs: this.runs
+    };
+  }
+}
+
+// ============================================================================
+// TRANSCRIPT EXPORT
+// ============================================================================
+
+// A transcript record, as the server assembles it from a battle or a published
+// entry: { battleId, publishedId, title, prompt, agents, status, startTime,
+// endTime, endReason, judgment, verified, imported, transcript, setup }.
+// `setup` (souls, directives, settings) is only there for the battle's owner.
+
+const isoTime = ms => (ms ? new Date(ms).toISOString() : null);
+
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Settings hold the provider options of judges and directors; keys and endpoints stay here
+function withoutCredentials(value) {
+  if (Array.isArray(value)) return value.map(withoutCredentials);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== 'apiKey' && key !== 'endpoint')
+    .map(([key, v]) => [key, withoutCredentials(v)]));
+}
+
+function recordTitle(record) {
+  return record.title || record.agents.map(a => a.name).join(' vs ');
+}
+
+// One flat row per turn or narrator event
+function transcriptRows(record) {
+  return record.transcript.map(t => ({
+    battleId: record.battleId ?? null,
+    turn: t.turn,
+    role: t.role || 'agent',
+    speaker: t.speaker,
+    speakerIndex: t.speakerIndex ?? null,
+    model: t.model || null,
+    timestamp: isoTime(t.timestamp),
+    content: t.content,
+    targets: t.targets || null,
+    words: t.metrics?.words ?? null,
+    inputTokens: t.usage?.inputTokens ?? null,
+    outputTokens: t.usage?.outputTokens ?? null,
+    similarity: t.metrics?.similarity ?? null,
+    repetition: t.metrics?.repetition ?? null,
+    drift: t.metrics?.drift ?? null
+  }));
+}
+
+function transcriptMarkdown(record) {
+  const lines = [`# ${recordTitle(record)}`, ''];
+  lines.push(record.agents.map(a => `**${a.name}**${a.model ? ` (${a.model})` : ''}`).join(' vs '), '');
+  if (record.startTime) lines.push(`Started: ${isoTime(record.startTime)}  `);
+  if (record.endTime) lines.push(`Ended: ${isoTime(record.endTime)}  `);
+  if (record.endReason) lines.push(`End reason: ${record.endReason}  `);
+  if (record.verified) lines.push('Verified: copied from the arena\'s battle record  ');
+  else if (record.imported) lines.push('Imported transcript  ');
+  lines.push('');
+  if (record.prompt) lines.push(`**Prompt:** ${record.prompt}`, '');
+  
+  if (record.setup) {
+    lines.push('## Setup', '');
+    record.setup.agents.forEach(a => {
+      lines.push(`### ${a.name}`, '');
+      if (a.directive) lines.push(`**Directive:** ${a.directive}`, '');
+      if (a.soul) lines.push('**Soul:**', '', a.soul, '');
+    });
+    lines.push('**Settings:**', '', '```json', JSON.stringify(record.setup.settings, null, 2), '```', '');
+  }
+  
+  lines.push('---', '');
+  record.transcript.forEach(t => {
+    if (t.role === 'narrator') {
+      lines.push(`> **Narrator${t.targets ? ' (private)' : ''}:** ${t.content}`, '');
+    } else {
+      lines.push(`### ${t.speaker} (Turn ${t.turn + 1})`, '', t.content, '', '---', '');
+    }
+  });
+  
+  if (record.judgment?.verdict) {
+    lines.push('## Judgment', '', `**Winner:** ${record.judgment.winner || 'Draw'}`, '', record.judgment.verdict, '');
+    if (record.judgment.summary) lines.push(record.judgment.summary, '');
+  }
+  return lines.join('\n');
+}
+
+function transcriptHTML(record) {
+  const title = escapeHTML(recordTitle(record));
+  const meta = [
+    record.agents.map(a => `${escapeHTML(a.name)}${a.model ? ` · ${escapeHTML(a.model)}` : ''}`).join(' vs '),
+    record.startTime && `Started ${escapeHTML(isoTime(record.startTime))}`,
+    record.endReason && `Ended: ${escapeHTML(record.endReason)}`,
+    record.verified ? 'Verified' : record.imported ? 'Imported' : null
+  ].filter(Boolean).map(m => `<span>${m}</span>`).join('');
+  
+  const setup = record.setup ? `
+  <section class="setup">
+    <h2>Setup</h2>
+    ${record.setup.agents.map(a => `
+    <h3>${escapeHTML(a.name)}</h3>
+    ${a.directive ? `<p><strong>Directive:</strong> ${escapeHTML(a.directive)}</p>` : ''}
+    ${a.soul ? `<pre>${escapeHTML(a.soul)}</pre>` : ''}`).join('')}
+    <h3>Settings</h3>
+    <pre>${escapeHTML(JSON.stringify(record.setup.settings, null, 2))}</pre>
+  </section>` : '';
+  
+  const turns = record.transcript.map(t => t.role === 'narrator' ? `
+  <div class="turn narrator"><div class="speaker">Narrator${t.targets ? ' (private)' : ''}</div><div class="content">${escapeHTML(t.content)}</div></div>` : `
+  <div class="turn"><div class="speaker">${escapeHTML(t.speaker)} <span>Turn ${t.turn + 1}${t.model ? ` · ${escapeHTML(t.model)}` : ''}</span></div><div class="content">${escapeHTML(t.content)}</div></div>`).join('');
+  
+  const judgment = record.judgment?.verdict ? `
+  <section class="judgment">
+    <h2>Judgment</h2>
+    <p><strong>${record.judgment.winner ? `Winner: ${escapeHTML(record.judgment.winner)}` : 'Draw'}</strong> — ${escapeHTML(record.judgment.verdict)}</p>
+    ${record.judgment.summary ? `<p>${escapeHTML(record.judgment.summary)}</p>` : ''}
+  </section>` : '';
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+  body { font-family: Inter, system-ui, sans-serif; background: #0a0a0b; color: #fafafa; max-width: 800px; margin: 0 auto; padding: 2rem; line-height: 1.6; }
+  h1 { font-family: 'JetBrains Mono', monospace; font-size: 1.4rem; font-weight: 500; }
+  h2 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.1em; color: #a1a1aa; margin-top: 2rem; }
+  .meta { display: flex; flex-wrap: wrap; gap: 1rem; color: #71717a; font-size: 0.8rem; margin-bottom: 1.5rem; }
+  .prompt, .setup, .judgment { background: #111113; border: 1px solid #27272a; border-radius: 0.5rem; padding: 1rem; margin-bottom: 1.5rem; }
+  .turn { border-left: 2px solid #27272a; padding: 0.5rem 1rem; margin-bottom: 1rem; }
+  .turn.narrator { border-color: #f97316; font-style: italic; }
+  .speaker { font-weight: 600; margin-bottom: 0.25rem; }
+  .speaker span { font-weight: 400; color: #71717a; font-size: 0.8rem; }
+  .content { white-space: pre-wrap; color: #d4d4d8; }
+  pre { white-space: pre-wrap; font-size: 0.8rem; color: #a1a1aa; }
+</style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <div class="meta">${meta}</div>
+  ${record.prompt ? `<div class="prompt"><strong>Prompt:</strong> ${escapeHTML(record.prompt)}</div>` : ''}${setup}
+  ${turns}${judgment}
+</body>
+</html>
+`;
+}
+
+function transcriptCSV(record) {
+  const rows = transcriptRows(record);
+  const header = ['battle_id', 'turn', 'role', 'speaker', 'speaker_index', 'model', 'timestamp', 'words',
+    'input_tokens', 'output_tokens', 'similarity', 'repetition', 'drift', 'targets', 'content'];
+  const keys = ['battleId', 'turn', 'role', 'speaker', 'speakerIndex', 'model', 'timestamp', 'words',
+    'inputTokens', 'outputTokens', 'similarity', 'repetition', 'drift', 'targets', 'content'];
+  return [header.join(','), ...rows.map(row => keys.map(k => csvField(row[k])).join(','))].join('\n') + '\n';
+}
+
+const EXPORT_FORMATS = {
+  markdown: { type: 'text/markdown', extension: 'md', render: transcriptMarkdown },
+  json: { type: 'application/json', extension: 'json', render: record => JSON.stringify(record, null, 2) },
+  jsonl: { type: 'application/x-ndjson', extension: 'jsonl', render: record => transcriptRows(record).map(row => JSON.stringify(row)).join('\n') + '\n' },
+  html: { type: 'text/html', extension: 'html', render: transcriptHTML },
+  csv: { type: 'text/csv', extension: 'csv', render: transcriptCSV }
+};
+
+// Transcripts published as imports before they were numbered count their turns in order
+function numberTurns(transcript) {
+  let spoken = 0;
+  return transcript.map(t => {
+    const turn = Number.isInteger(t.turn) ? t.turn : spoken;
+    if (t.role !== 'narrator') spoken = turn + 1;
+    return { ...t, turn };
+  });
+}
+
+// { type, extension, body } for a transcript record, or null for an unknown format
+function exportTranscript(record, format) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) return null;
+  const exporter = EXPORT_FORMATS[format];
+  return { type: exporter.type, extension: exporter.extension, body: exporter.render({ ...record, transcript: numberTurns(record.transcript) }) };
+}
+
+// ============================================================================
+// TRANSCRIPT IMPORT
+// ============================================================================
+
+// Conversations from other tools, mapped onto the transcript shape battles
+// use. Accepted: JSONL (one message per line, including our own JSONL export),
+// ChatML-style message arrays and our Markdown export.
+
+const IMPORT_FORMATS = ['jsonl', 'chatml', 'markdown'];
+const MAX_IMPORT_TURNS = 2000;
+const MAX_SPEAKER_LENGTH = 100;
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function detectImportFormat(text) {
+  const whole = parseJSON(text);
+  if (Array.isArray(whole) || Array.isArray(whole?.messages)) return 'chatml';
+  
+  const lines = text.split('\n').filter(l => l.trim());
+  if (lines.length && lines.every(l => parseJSON(l)?.constructor === Object)) return 'jsonl';
+  return 'markdown';
+}
+
+// "assistant" -> "Assistant"
+const roleLabel = role => role.charAt(0).toUpperCase() + role.slice(1);
+
+// Message content may be a string or a list of parts ({ type: 'text', text })
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => typeof part === 'string' ? part : part?.text || '').join('');
+  return '';
+}
+
+// Milliseconds from an ISO string or a number, if it is a time exports can print
+function importTimestamp(value, i) {
+  if (value === null || value === undefined || value === '') return null;
+  const ms = typeof value === 'number' ? value : typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(new Date(ms).getTime())) throw new Error(`Message ${i + 1} has an invalid timestamp`);
+  return ms;
+}
+
+// A text field of message `i`, or null when it is left out
+function importText(m, field, i) {
+  const value = m[field];
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') throw new Error(`Message ${i + 1}: ${field} must be a string`);
+  return value;
+}
+
+// Private narrator events list the agent indices that saw them
+function importTargets(m, i) {
+  if (m.targets === null || m.targets === undefined) return null;
+  if (!Array.isArray(m.targets) || !m.targets.every(t => Number.isInteger(t) && t >= 0)) {
+    throw new Error(`Message ${i + 1}: targets must be a list of agent indices`);
   }
+  return m.targets.length ? m.targets : null;
+}
 
-  async complete() {
-    this.status = 'complete';
-    this.endTime = Date.now();
-    
-    // Save memories to agent brains
-    for (const agent of this.agents) {
-      agent.addMemory('arena_battle', {
-        battleId: this.id,
-        prompt: this.prompt,
-        turns: this.turn,
-        participants: this.agents.map(a => a.name),
-        timestamp: this.endTime
-      });
-      await agent.saveBrain();
-    }
+// Generic { role, speaker | name, content | text, model, timestamp } messages.
+// System messages become the prompt; tool calls are dropped.
+function fromMessages(messages) {
+  const prompt = [];
+  const turns = [];
+  
+  messages.forEach((m, i) => {
+    if (!m || typeof m !== 'object') throw new Error(`Message ${i + 1} is not an object`);
+    const role = importText(m, 'role', i) || 'agent';
+    const content = messageText(m.content ?? m.text);
     
-    this.updateStatus('complete');
-    this.broadcast({
-      type: 'complete',
-      battleId: this.id,
-      turns: this.turn,
-      duration: this.endTime - this.startTime
+    if (role === 'system') return prompt.push(content);
+    if (role === 'tool' || role === 'function') return;
+    turns.push({
+      narrator: role === 'narrator',
+      speaker: importText(m, 'speaker', i) || importText(m, 'name', i) || (role === 'agent' ? null : roleLabel(role)),
+      model: importText(m, 'model', i),
+      content,
+      targets: importTargets(m, i),
+      timestamp: importTimestamp(m.timestamp ?? m.created_at, i)
     });
-    
-    console.log(`\n🏁 Battle complete. ${this.turn} turns.`);
-  }
+  });
+  
+  return { prompt: prompt.join('\n\n') || null, turns };
+}
 
-  saveTurn(turnData) {
-    if (!this.db) return;
-    
-    try {
-      this.db.prepare(`
-        INSERT INTO turns (battle_id, turn_number, speaker, model, content, timestamp)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(this.id, turnData.turn, turnData.speaker, turnData.model, turnData.content, turnData.timestamp);
-    } catch (e) {
-      // Silent fail for DB issues
-    }
-  }
+function parseJSONL(text) {
+  const messages = text.split('\n').map((line, i) => [line, i]).filter(([line]) => line.trim()).map(([line, i]) => {
+    const row = parseJSON(line);
+    if (row?.constructor !== Object) throw new Error(`Line ${i + 1} is not a JSON object`);
+    return row;
+  });
+  return fromMessages(messages);
+}
 
-  updateStatus(status) {
-    if (!this.db) return;
-    
-    try {
-      this.db.prepare(`
-        UPDATE battles SET status = ?, end_time = ? WHERE id = ?
-      `).run(status, status === 'complete' ? Date.now() : null, this.id);
-    } catch (e) {
-      // Silent fail
+function parseChatML(text) {
+  const data = parseJSON(text);
+  const messages = Array.isArray(data) ? data : data?.messages;
+  if (!Array.isArray(messages)) throw new Error('Expected a JSON array of messages, or an object with a messages array');
+  return { title: typeof data.title === 'string' ? data.title : null, ...fromMessages(messages) };
+}
+
+// Our Markdown export: "# Title", "**A** (model) vs **B** (model)", "**Prompt:** ...",
+// then "### Speaker (Turn n)" sections and "> **Narrator:** ..." lines
+function parseMarkdown(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const title = lines.find(l => l.startsWith('# '))?.slice(2).trim() || null;
+  const prompt = lines.find(l => l.startsWith('**Prompt:** '))?.slice(12).trim() || null;
+  
+  const models = {};
+  const agentsLine = lines.find(l => /^\*\*.+?\*\*( \([^)]+\))?( vs \*\*.+?\*\*( \([^)]+\))?)+$/.test(l.trim()));
+  for (const [, name, model] of (agentsLine || '').matchAll(/\*\*(.+?)\*\*(?: \(([^)]+)\))?/g)) {
+    if (model) models[name] = model;
+  }
+  
+  const turns = [];
+  let current = null;
+  const close = () => {
+    if (!current) return;
+    const body = current.lines;
+    while (body.length && (!body.at(-1).trim() || body.at(-1).trim() === '---')) body.pop();
+    while (body.length && !body[0].trim()) body.shift();
+    turns.push({ speaker: current.speaker, model: models[current.speaker] || null, content: body.join('\n'), timestamp: null });
+    current = null;
+  };
+  
+  for (const line of lines) {
+    const header = line.match(/^### (.+) \(Turn \d+\)\s*$/);
+    const narration = line.match(/^> \*\*Narrator( \(private\))?:\*\* (.*)$/);
+    if (header) {
+      close();
+      current = { speaker: header[1].trim(), lines: [] };
+    } else if (narration) {
+      close();
+      turns.push({ narrator: true, speaker: 'Narrator', content: narration[2], targets: null, timestamp: null });
+    } else if (/^## /.test(line)) {
+      close(); // Judgment and setup sections are not part of the conversation
+    } else if (current) {
+      current.lines.push(line);
     }
   }
+  close();
+  
+  return { title, prompt, turns };
+}
 
-  toJSON() {
-    return {
-      id: this.id,
-      agents: this.agents.map(a => ({ name: a.name, model: a.model, hasBrain: !!a.brainPath })),
-      prompt: this.prompt,
-      status: this.status,
-      turn: this.turn,
-      maxTurns: this.maxTurns,
-      history: this.history
-    };
+const IMPORT_PARSERS = { jsonl: parseJSONL, chatml: parseChatML, markdown: parseMarkdown };
+
+// { title, prompt, agents, transcript } from an uploaded conversation. `format`
+// is detected when left out. Throws with a message for the uploader when the
+// content can't be used.
+function parseTranscript(text, format = null) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('Nothing to import');
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
   }
+  
+  const { title = null, prompt, turns } = IMPORT_PARSERS[format || detectImportFormat(text)](text);
+  
+  if (!turns.some(t => !t.narrator)) throw new Error('No turns found');
+  if (turns.length > MAX_IMPORT_TURNS) throw new Error(`At most ${MAX_IMPORT_TURNS} turns can be imported`);
+  
+  const agents = [];
+  const transcript = [];
+  let spoken = 0;
+  
+  turns.forEach((t, i) => {
+    const content = typeof t.content === 'string' ? t.content.trim() : '';
+    if (!content) throw new Error(`Turn ${i + 1} has no content`);
+    
+    if (t.narrator) {
+      transcript.push({ role: 'narrator', turn: spoken, speakerIndex: null, speaker: 'Narrator', content, targets: t.targets, timestamp: t.timestamp });
+      return;
+    }
+    
+    const speaker = String(t.speaker || '').trim();
+    if (!speaker) throw new Error(`Turn ${i + 1} has no speaker`);
+    if (speaker.length > MAX_SPEAKER_LENGTH) throw new Error(`Turn ${i + 1}: speaker names are limited to ${MAX_SPEAKER_LENGTH} characters`);
+    
+    let speakerIndex = agents.findIndex(a => a.name === speaker);
+    if (speakerIndex === -1) speakerIndex = agents.push({ name: speaker, model: t.model || null }) - 1;
+    if (!agents[speakerIndex].model && t.model) agents[speakerIndex].model = t.model;
+    
+    transcript.push({ turn: spoken++, speakerIndex, speaker, model: t.model || agents[speakerIndex].model, content, timestamp: t.timestamp });
+  });
+  
+  return { title, prompt, agents, transcript };
 }
 
 // ============================================================================
 // ARENA
 // ============================================================================
 
+// A battle stops holding its slot when it finishes, fails or is paused, or,
+// when paused mid-turn, once that turn's call comes back
+const SLOT_RELEASING_EVENTS = ['complete', 'error', 'paused', 'turn_end'];
+
 class Arena {
-  constructor(db) {
+  // `maxConcurrent` caps how many battles run at once; the rest wait in `queue`
+  constructor(db, { maxConcurrent = Infinity } = {}) {
     this.db = db;
+    this.brains = db ? new BrainStore(db) : null;
     this.battles = new Map();
+    this.experiments = new Map();
     this.spectators = new Set();
+    this.viewers = new WeakMap(); // Socket -> id of the user it subscribed as
+    this.maxConcurrent = maxConcurrent || Infinity;
+    this.queue = [];
   }
 
+  // Events only go to sockets subscribed to the battle they belong to
   broadcast(data) {
+    const battle = this.battles.get(data.battleId);
+    if (!battle) return;
+    
+    if (SLOT_RELEASING_EVENTS.includes(data.type)) {
+      setImmediate(() => this.drainQueue());
+    }
+    
     const msg = JSON.stringify(data);
-    this.spectators.forEach(ws => {
-      if (ws.readyState === 1) {
+    const secret = isPrivate(data);
+    battle.spectators.forEach(ws => {
+      if (ws.readyState === 1 && (!secret || (battle.userId && this.viewers.get(ws) === battle.userId))) {
         ws.send(msg);
       }
     });
@@ -516,14 +3022,42 @@ class Arena {
 
   addSpectator(ws) {
     this.spectators.add(ws);
-    ws.send(JSON.stringify({
-      type: 'state',
-      battles: Array.from(this.battles.values()).map(b => b.toJSON())
-    }));
   }
 
   removeSpectator(ws) {
     this.spectators.delete(ws);
+    for (const battle of this.battles.values()) {
+      if (battle.spectators.has(ws)) {
+        this.unsubscribe(ws, battle.id);
+      }
+    }
+  }
+
+  // `userId` is who the socket logged in as, if anyone
+  subscribe(ws, battleId, userId = null) {
+    const battle = this.battles.get(battleId);
+    if (!battle) {
+      ws.send(JSON.stringify({ type: 'error', battleId, error: 'Battle not found' }));
+      return;
+    }
+    
+    battle.spectators.add(ws);
+    this.viewers.set(ws, userId);
+    
+    // Late-join snapshot: history so far plus any turn still streaming
+    ws.send(JSON.stringify({
+      type: 'snapshot',
+      battleId,
+      battle: { ...battle.viewFor(userId), queuePosition: this.queuePosition(battleId) }
+    }));
+    this.broadcast({ type: 'spectators', battleId, count: battle.spectators.size });
+  }
+
+  unsubscribe(ws, battleId) {
+    const battle = this.battles.get(battleId);
+    if (!battle || !battle.spectators.delete(ws)) return;
+    
+    this.broadcast({ type: 'spectators', battleId, count: battle.spectators.size });
   }
 
   async createBattle(config) {
@@ -545,20 +3079,395 @@ class Arena {
     return battle;
   }
 
+  // Start `battle` now if a slot is free, otherwise put it at the back of the
+  // queue. Returns its place in line, 0 when it started. Resumes and retries
+  // skip the queue: those battles already got their turn once.
+  schedule(battle) {
+    if (this.queue.includes(battle)) return this.queuePosition(battle.id);
+    if (!this.queue.length && this.runningCount() < this.maxConcurrent) {
+      this.launch(battle);
+      return 0;
+    }
+    
+    // Paused and errored battles keep their status while they wait to carry on
+    if (battle.status === 'pending') battle.queue();
+    this.queue.push(battle);
+    this.announceQueue();
+    return this.queue.length;
+  }
+
+  // Resuming and retrying take a slot like starting does. Returns the place
+  // in line (0 when it carried on straight away), or null if it can't.
+  resumeBattle(battle) {
+    return battle.status === 'paused' ? this.schedule(battle) : null;
+  }
+
+  retryBattle(battle) {
+    return battle.status === 'errored' ? this.schedule(battle) : null;
+  }
+
+  launch(battle) {
+    if (battle.status === 'paused') battle.resume();
+    else if (battle.status === 'errored') battle.retry();
+    else battle.start();
+  }
+
+  // A battle paused mid-turn still has a provider call out until the turn ends
+  runningCount() {
+    let running = 0;
+    for (const battle of this.battles.values()) {
+      if (battle.status === 'running' || battle.turnInFlight) running++;
+    }
+    return running;
+  }
+
+  // 1-based place in line, or null when not queued
+  queuePosition(battleId) {
+    const index = this.queue.findIndex(b => b.id === battleId);
+    return index === -1 ? null : index + 1;
+  }
+
+  drainQueue() {
+    let started = false;
+    while (this.queue.length && this.runningCount() < this.maxConcurrent) {
+      this.launch(this.queue.shift());
+      started = true;
+    }
+    if (started) this.announceQueue();
+  }
+
+  // Tell everyone waiting where they stand
+  announceQueue() {
+    this.queue.forEach((battle, i) => {
+      this.broadcast({ type: 'queued', battleId: battle.id, position: i + 1, running: this.runningCount() });
+    });
+  }
+
+  // Bring back battles a restart left unfinished. `resolveProvider(name)`
+  // supplies the current endpoint and key for each provider. Battles from
+  // before full configs were persisted can't be rebuilt and are closed out.
+  async restoreBattles(resolveProvider, prices) {
+    if (!this.db) return 0;
+    
+    let records;
+    try {
+      records = this.db.prepare(`
+        SELECT * FROM battles WHERE status IN ('pending', 'queued', 'running', 'paused', 'errored') ORDER BY id
+      `).all();
+    } catch (e) {
+      console.error('Failed to load unfinished battles:', e.message);
+      return 0;
+    }
+    
+    let restored = 0;
+    for (const record of records) {
+      if (!record.agent_configs) {
+        this.db.prepare(`UPDATE battles SET status = 'interrupted' WHERE id = ?`).run(record.id);
+        continue;
+      }
+      
+      try {
+        const battle = this.battleFromRecord(record, resolveProvider, prices);
+        const turns = this.db.prepare(`
+          SELECT * FROM turns WHERE battle_id = ? ORDER BY turn_number, id
+        `).all(record.id);
+        
+        await battle.restore(record, turns);
+        this.battles.set(battle.id, battle);
+        if (record.status === 'queued') {
+          battle.queue(); // Never started, so back in line
+          this.schedule(battle);
+        }
+        restored++;
+      } catch (e) {
+        console.error(`Failed to restore battle ${record.id}:`, e.message);
+      }
+    }
+    
+    return restored;
+  }
+
+  // A Battle configured like the stored `record`; `overrides` replace any of its config
+  battleFromRecord(record, resolveProvider, prices, overrides = {}) {
+    const settings = JSON.parse(record.settings || '{}');
+    const id = overrides.id || record.id;
+    const agents = JSON.parse(record.agent_configs).map((a, i) => new Agent({
+      ...a,
+      ...resolveProvider(a.provider || 'anthropic'),
+      id: `agent_${i}_${id}`,
+      sharedPrompt: record.prompt || null
+    }));
+    
+    return new Battle({
+      ...settings,
+      director: settings.director && { ...settings.director, ...resolveProvider(settings.director.provider || 'anthropic') },
+      context: settings.context && { ...settings.context, ...resolveProvider(settings.context.provider || 'anthropic') },
+      judge: settings.judge && { ...settings.judge, ...resolveProvider(settings.judge.provider || 'anthropic') },
+      id: record.id,
+      agents,
+      prompt: record.prompt,
+      maxTurns: record.max_turns,
+      userId: record.user_id,
+      fork: record.parent_id ? { parentId: record.parent_id, turn: record.fork_turn, edited: !!record.fork_edited } : null,
+      prices,
+      ...overrides
+    }, this.db, (data) => this.broadcast(data));
+  }
+
+  // Config and history of a battle to fork from. The stored record is
+  // preferred: its agent configs still point at the brains loaded at the
+  // start, before reflection wrote new memories.
+  forkSource(id) {
+    const live = this.battles.get(id);
+    let record = null, turns = [];
+    if (this.db) {
+      try {
+        record = this.db.prepare(`SELECT * FROM battles WHERE id = ?`).get(id);
+        turns = this.db.prepare(`
+          SELECT * FROM turns WHERE battle_id = ? ORDER BY turn_number, id
+        `).all(id);
+      } catch (e) {
+        record = null;
+      }
+    }
+    
+    if (record?.agent_configs) {
+      const agents = JSON.parse(record.agent_configs);
+      return { record, history: turns.map(t => entryFromRow(t, agents)) };
+    }
+    if (!live) return null;
+    
+    return {
+      record: {
+        id,
+        prompt: live.prompt,
+        max_turns: live.maxTurns,
+        agent_configs: JSON.stringify(live.agents.map(a => a.toConfig())),
+        settings: JSON.stringify(live.toSettings()),
+        user_id: live.userId
+      },
+      history: live.history
+    };
+  }
+
+  // Start an alternate timeline from `source` (see forkSource) at `turn`,
+  // optionally with `content` in place of what was said there
+  async forkBattle(source, { turn, content = null, resolveProvider, prices, userId = null }) {
+    const battle = this.battleFromRecord(source.record, resolveProvider, prices, {
+      id: nextBattleId(),
+      userId,
+      fork: { parentId: source.record.id, turn, edited: !!content }
+    });
+    
+    await battle.initialize();
+    await battle.seed(source.history, content);
+    this.battles.set(battle.id, battle);
+    
+    console.log(`🌿 Battle ${battle.id} forked from ${source.record.id} at turn ${turn + 1}`);
+    return battle;
+  }
+
+  // Every battle in the fork tree `id` belongs to, nested from the root
+  getBattleTree(id) {
+    let nodes;
+    if (this.db) {
+      try {
+        nodes = this.db.prepare(`
+          WITH RECURSIVE
+            up(id, parent_id) AS (
+              SELECT id, parent_id FROM battles WHERE id = ?
+              UNION ALL SELECT b.id, b.parent_id FROM battles b JOIN up ON b.id = up.parent_id
+            ),
+            down(id) AS (
+              SELECT id FROM up WHERE parent_id IS NULL
+              UNION ALL SELECT b.id FROM battles b JOIN down ON b.parent_id = down.id
+            )
+          SELECT b.id, b.parent_id, b.fork_turn, b.fork_edited, b.status, b.start_time, b.agents,
+            (SELECT COUNT(*) FROM turns t WHERE t.battle_id = b.id AND t.role IS NOT 'narrator') AS turns
+          FROM battles b
+          WHERE b.id IN (SELECT id FROM down)
+        `).all(id).map(r => ({
+          id: r.id,
+          parentId: r.parent_id,
+          forkTurn: r.fork_turn,
+          edited: !!r.fork_edited,
+          status: r.status,
+          startTime: r.start_time,
+          agents: JSON.parse(r.agents || '[]').map(a => a.name),
+          turns: r.turns
+        }));
+      } catch (e) {
+        return null;
+      }
+    } else {
+      nodes = Array.from(this.battles.values()).map(b => ({
+        id: b.id,
+        parentId: b.fork?.parentId ?? null,
+        forkTurn: b.fork?.turn ?? null,
+        edited: !!b.fork?.edited,
+        status: b.status,
+        startTime: b.startTime,
+        agents: b.agents.map(a => a.name),
+        turns: b.turn
+      }));
+    }
+    
+    const byId = new Map(nodes.map(n => [n.id, { ...n, children: [] }]));
+    let root = byId.get(id);
+    if (!root) return null;
+    while (byId.has(root.parentId)) root = byId.get(root.parentId);
+    
+    for (const node of byId.values()) {
+      byId.get(node.parentId)?.children.push(node);
+    }
+    return root;
+  }
+
   getBattle(id) {
     return this.battles.get(id);
   }
 
+  // Start a validated experiment (see EXPERIMENTS). It runs in the
+  // background; `experiment.done` resolves once every run has finished.
+  startExperiment(definition, options) {
+    const experiment = new Experiment(definition, this, options);
+    this.experiments.set(experiment.id, experiment);
+    experiment.save();
+    experiment.done = experiment.run();
+    return experiment;
+  }
+
+  getExperiment(id) {
+    if (this.experiments.has(id)) return this.experiments.get(id);
+    if (!this.db) return null;
+    
+    try {
+      const record = this.db.prepare(`SELECT * FROM experiments WHERE id = ?`).get(id);
+      if (!record) return null;
+      
+      const rows = this.db.prepare(`
+        SELECT * FROM experiment_runs WHERE experiment_id = ? ORDER BY cell, repetition
+      `).all(id);
+      const experiment = new Experiment(JSON.parse(record.definition), this, { id: record.id });
+      experiment.restore(record, rows);
+      return experiment;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getExperiments() {
+    const live = Array.from(this.experiments.values()).map(e => ({
+      id: e.id,
+      name: e.name,
+      status: e.status,
+      startTime: e.startTime,
+      endTime: e.endTime,
+      runs: e.runs.length,
+      finished: e.runs.filter(r => r.status === 'complete' || r.status === 'errored').length
+    }));
+    if (!this.db) return live;
+    
+    try {
+      const stored = this.db.prepare(`
+        SELECT e.id, e.name, e.status, e.start_time, e.end_time, COUNT(r.cell) AS runs,
+          SUM(r.status IN ('complete', 'errored')) AS finished
+        FROM experiments e
+        LEFT JOIN experiment_runs r ON r.experiment_id = e.id
+        GROUP BY e.id
+        ORDER BY e.start_time DESC
+        LIMIT 50
+      `).all().filter(r => !this.experiments.has(r.id)).map(r => ({
+        id: r.id,
+        name: r.name,
+        status: r.status === 'running' ? 'interrupted' : r.status,
+        startTime: r.start_time,
+        endTime: r.end_time,
+        runs: r.runs,
+        finished: r.finished || 0
+      }));
+      return [...live, ...stored];
+    } catch (e) {
+      return live;
+    }
+  }
+
   getAllBattles() {
     return Array.from(this.battles.values()).map(b => b.toJSON());
   }
 
+  // Tokens and cost across every battle, or only those started by `userId`
+  getUsage(userId = null) {
+    if (!this.db) {
+      const battles = Array.from(this.battles.values()).filter(b => !userId || b.userId === userId);
+      return { battles: battles.length, ...sumUsage(battles.map(b => b.usageTotals())) };
+    }
+    
+    const where = userId ? 'WHERE b.user_id = ?' : '';
+    const params = userId ? [userId] : [];
+    try {
+      const turns = this.db.prepare(`
+        SELECT COUNT(DISTINCT b.id) AS battles, SUM(t.input_tokens) AS input_tokens,
+          SUM(t.output_tokens) AS output_tokens, SUM(t.cost) AS cost
+        FROM battles b
+        LEFT JOIN turns t ON t.battle_id = b.id
+        ${where}
+      `).get(...params);
+      const overhead = this.db.prepare(`
+        SELECT overhead_usage FROM battles b ${where}
+      `).all(...params).filter(r => r.overhead_usage).map(r => JSON.parse(r.overhead_usage));
+      const byModel = this.db.prepare(`
+        SELECT t.model, COUNT(*) AS turns, SUM(t.input_tokens) AS input_tokens,
+          SUM(t.output_tokens) AS output_tokens, SUM(t.cost) AS cost
+        FROM turns t
+        JOIN battles b ON b.id = t.battle_id
+        ${where}
+        GROUP BY t.model
+        ORDER BY cost DESC
+      `).all(...params).filter(r => r.model).map(r => ({ model: r.model, turns: r.turns, ...rowUsage(r) || sumUsage([]) }));
+      
+      return { battles: turns.battles, ...sumUsage([rowUsage(turns), ...overhead]), byModel };
+    } catch (e) {
+      console.error('Usage query failed:', e.message);
+      return { battles: 0, ...sumUsage([]), byModel: [] };
+    }
+  }
+
+  // Tokens and cost across every battle in one aggregate query, without the
+  // per-model breakdown or parsing each battle's overhead, for /health
+  getUsageTotals() {
+    if (!this.db) {
+      const { byModel, ...totals } = this.getUsage();
+      return totals;
+    }
+    
+    try {
+      const row = this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM battles) AS battles,
+          t.input_tokens, t.output_tokens, t.cost,
+          o.input_tokens AS overhead_input, o.output_tokens AS overhead_output, o.cost AS overhead_cost
+        FROM
+          (SELECT SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens, SUM(cost) AS cost FROM turns) t,
+          (SELECT SUM(json_extract(overhead_usage, '$.inputTokens')) AS input_tokens,
+            SUM(json_extract(overhead_usage, '$.outputTokens')) AS output_tokens,
+            SUM(json_extract(overhead_usage, '$.cost')) AS cost
+          FROM battles) o
+      `).get();
+      const overhead = { inputTokens: row.overhead_input, outputTokens: row.overhead_output, cost: row.overhead_cost };
+      return { battles: row.battles, ...sumUsage([rowUsage(row), overhead]) };
+    } catch (e) {
+      console.error('Usage query failed:', e.message);
+      return { battles: 0, ...sumUsage([]) };
+    }
+  }
+
   getArchive() {
     if (!this.db) return [];
     
     try {
       return this.db.prepare(`
-        SELECT id, prompt, max_turns, status, start_time, end_time, agents
+        SELECT id, prompt, max_turns, status, start_time, end_time, agents, end_reason
         FROM battles
         WHERE status = 'complete'
         ORDER BY start_time DESC
@@ -569,7 +3478,7 @@ class Arena {
     }
   }
 
-  getBattleHistory(id) {
+  getBattleHistory(id, userId = null) {
     if (!this.db) return null;
     
     try {
@@ -577,20 +3486,103 @@ class Arena {
       if (!battle) return null;
       
       const turns = this.db.prepare(`
-        SELECT * FROM turns WHERE battle_id = ? ORDER BY turn_number
+        SELECT * FROM turns WHERE battle_id = ? ORDER BY turn_number, id
+      `).all(id).map(t => ({
+        ...t,
+        metrics: t.metrics ? JSON.parse(t.metrics) : null,
+        targets: t.targets ? JSON.parse(t.targets) : null
+      }));
+      
+      const brains = this.db.prepare(`
+        SELECT * FROM battle_brains WHERE battle_id = ? ORDER BY agent_index
       `).all(id);
       
-      return { ...battle, turns };
+      const overhead = battle.overhead_usage ? JSON.parse(battle.overhead_usage) : sumUsage([]);
+      
+      // Souls, brains and secret directives stay server-side
+      const { agent_configs, overhead_usage, ...publicFields } = battle;
+      return {
+        ...publicFields,
+        judgment: battle.judgment ? JSON.parse(battle.judgment) : null,
+        usage: { ...sumUsage([...turns.map(rowUsage), overhead]), overhead },
+        turns: visibleTranscript(turns, !!battle.user_id && battle.user_id === userId),
+        brains
+      };
     } catch (e) {
       return null;
     }
   }
+
+  // A stored battle the way it played out, for publishing: turns and narrator
+  // events shaped like the live broadcasts, without souls, brains or directives
+  getTranscript(id) {
+    if (!this.db) return null;
+    
+    const battle = this.db.prepare(`SELECT * FROM battles WHERE id = ?`).get(id);
+    if (!battle) return null;
+    
+    const agents = JSON.parse(battle.agents || '[]').map(a => ({ name: a.name, model: a.model }));
+    const turns = this.db.prepare(`
+      SELECT * FROM turns WHERE battle_id = ? ORDER BY turn_number, id
+    `).all(id);
+    // The judgment and end reason may only be in memory while a battle is still settling
+    const live = this.battles.get(id);
+    
+    return {
+      id: battle.id,
+      userId: battle.user_id,
+      prompt: battle.prompt,
+      status: live?.status ?? battle.status,
+      startTime: battle.start_time,
+      endTime: battle.end_time,
+      endReason: live?.endReason ?? battle.end_reason,
+      judgment: live?.judgment ?? (battle.judgment ? JSON.parse(battle.judgment) : null),
+      agents,
+      transcript: turns.map(t => entryFromRow(t, agents))
+    };
+  }
+
+  // What only the battle's owner gets to see: souls, secret directives and settings
+  getBattleSetup(id) {
+    if (!this.db) return null;
+    
+    const battle = this.db.prepare(`SELECT * FROM battles WHERE id = ?`).get(id);
+    if (!battle?.agent_configs) return null;
+    
+    return {
+      agents: JSON.parse(battle.agent_configs).map(a => ({
+        name: a.name,
+        provider: a.provider,
+        model: a.model,
+        soul: a.soul || null,
+        directive: a.prompt || null,
+        brainId: a.brainId || null,
+        brainVersion: a.brainVersion || null,
+        anonymous: !!a.anonymous
+      })),
+      settings: withoutCredentials({
+        maxTurns: battle.max_turns,
+        turnPolicy: battle.turn_policy,
+        ...JSON.parse(battle.settings || '{}')
+      })
+    };
+  }
 }
 
 // ============================================================================
 // DATABASE SETUP
 // ============================================================================
 
+// Add columns introduced after a table was first created (SQLite has no ADD COLUMN IF NOT EXISTS)
+function addColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
 function setupDatabase(dbPath = './data/arena.db') {
   try {
     const Database = require('better-sqlite3');
@@ -619,8 +3611,93 @@ function setupDatabase(dbPath = './data/arena.db') {
       );
       
       CREATE INDEX IF NOT EXISTS idx_turns_battle ON turns(battle_id);
+      
+      CREATE TABLE IF NOT EXISTS brains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        created_at INTEGER,
+        updated_at INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS brain_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        brain_id INTEGER,
+        version INTEGER,
+        data TEXT,
+        battle_id INTEGER,
+        note TEXT,
+        created_at INTEGER,
+        UNIQUE (brain_id, version),
+        FOREIGN KEY (brain_id) REFERENCES brains(id)
+      );
+      
+      CREATE TABLE IF NOT EXISTS battle_brains (
+        battle_id INTEGER,
+        agent_index INTEGER,
+        brain_id INTEGER,
+        loaded_version INTEGER,
+        produced_version INTEGER,
+        PRIMARY KEY (battle_id, agent_index),
+        FOREIGN KEY (battle_id) REFERENCES battles(id),
+        FOREIGN KEY (brain_id) REFERENCES brains(id)
+      );
+      
+      CREATE TABLE IF NOT EXISTS experiments (
+        id INTEGER PRIMARY KEY,
+        name TEXT,
+        definition TEXT,
+        status TEXT,
+        user_id INTEGER,
+        start_time INTEGER,
+        end_time INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS experiment_runs (
+        experiment_id INTEGER,
+        cell INTEGER,
+        repetition INTEGER,
+        params TEXT,
+        battle_id INTEGER,
+        status TEXT,
+        turns INTEGER,
+        end_reason TEXT,
+        judgment TEXT,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        cost REAL,
+        error TEXT,
+        PRIMARY KEY (experiment_id, cell, repetition),
+        FOREIGN KEY (experiment_id) REFERENCES experiments(id),
+        FOREIGN KEY (battle_id) REFERENCES battles(id)
+      );
     `);
     
+    addColumns(db, 'battles', {
+      turn_policy: "TEXT DEFAULT 'round-robin'",
+      agent_configs: 'TEXT',
+      settings: 'TEXT',
+      current_speaker: 'INTEGER',
+      judgment: 'TEXT',
+      end_reason: 'TEXT',
+      user_id: 'INTEGER',
+      overhead_usage: 'TEXT',
+      parent_id: 'INTEGER',
+      fork_turn: 'INTEGER',
+      fork_edited: 'INTEGER'
+    });
+    addColumns(db, 'brains', {
+      user_id: 'INTEGER'
+    });
+    addColumns(db, 'turns', {
+      speaker_index: 'INTEGER',
+      metrics: 'TEXT',
+      input_tokens: 'INTEGER',
+      output_tokens: 'INTEGER',
+      cost: 'REAL',
+      role: "TEXT DEFAULT 'agent'",
+      targets: 'TEXT'
+    });
+    
     console.log('📊 Database ready');
     return db;
   } catch (e) {
@@ -636,9 +3713,30 @@ function setupDatabase(dbPath = './data/arena.db') {
 module.exports = {
   Arena,
   Battle,
+  Experiment,
   Agent,
+  BrainStore,
   AnthropicProvider,
   OllamaProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  ReplayProvider,
+  TokenBucket,
+  nextBattleId,
   createProvider,
+  providerSettings,
+  TURN_POLICIES,
+  STOP_CONDITIONS,
+  INJECTION_DELIVERIES,
+  CONTEXT_MODES,
+  validateBattleRequest,
+  validateExperiment,
+  battleConfig,
+  EXPORT_FORMATS,
+  exportTranscript,
+  visibleTranscript,
+  IMPORT_FORMATS,
+  parseTranscript,
+  addColumns,
   setupDatabase
 };
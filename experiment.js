@@ -0,0 +1,67 @@
+/**
+ * PHOENIX ARENA - Experiment runner
+ * Run a battle over a parameter grid from the command line.
+ *
+ *   node experiment.js <definition.json> [--out results.csv|results.jsonl] [--db ./data/arena.db]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Arena, validateExperiment, providerSettings, setupDatabase } = require('./arena');
+
+function parseArgs(argv) {
+  const args = { file: null, out: null, db: './data/arena.db' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--db') args.db = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+async function loadConfig() {
+  try {
+    return JSON.parse(await fs.readFile(path.join(__dirname, 'config.json'), 'utf8'));
+  } catch (e) {
+    return { providers: {}, defaultModel: 'claude-sonnet-4-20250514', pricing: {} };
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node experiment.js <definition.json> [--out results.csv|results.jsonl] [--db ./data/arena.db]');
+    process.exit(1);
+  }
+  
+  const definition = JSON.parse(await fs.readFile(args.file, 'utf8'));
+  const error = validateExperiment(definition);
+  if (error) {
+    console.error(`Invalid experiment: ${error}`);
+    process.exit(1);
+  }
+  
+  const config = await loadConfig();
+  const arena = new Arena(setupDatabase(args.db), { maxConcurrent: config.limits?.maxConcurrentBattles });
+  
+  const experiment = arena.startExperiment(definition, {
+    resolveProvider: provider => providerSettings(config.providers, provider),
+    defaultModel: config.defaultModel,
+    prices: config.pricing || {}
+  });
+  await experiment.done;
+  
+  const { stats, cells } = experiment.toJSON();
+  console.log(JSON.stringify({ id: experiment.id, name: experiment.name, stats, cells }, null, 2));
+  
+  if (args.out) {
+    await fs.writeFile(args.out, args.out.endsWith('.jsonl') ? experiment.toJSONL() : experiment.toCSV());
+    console.log(`📄 Wrote ${experiment.runs.length} runs to ${args.out}`);
+  }
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
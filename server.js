@@ -9,7 +9,7 @@ const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const fs = require('fs').promises;
 const path = require('path');
-const { Arena, setupDatabase } = require('./arena');
+const { Arena, INJECTION_DELIVERIES, validateBattleRequest, validateExperiment, battleConfig, exportTranscript, visibleTranscript, EXPORT_FORMATS, parseTranscript, providerSettings, nextBattleId, addColumns, setupDatabase } = require('./arena');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -45,9 +45,22 @@ app.get('/battle/:id', (req, res) => {
 let config = {
   providers: {
     anthropic: { enabled: true },
-    ollama: { enabled: false, endpoint: null }
+    ollama: { enabled: false, endpoint: null },
+    openai: { enabled: false, endpoint: 'https://api.openai.com/v1', apiKey: null, models: [] },
+    replay: { enabled: false, mode: 'replay', upstream: 'anthropic', cassette: 'default.json' },
+    mock: { enabled: false, replies: [] }
   },
-  defaultModel: 'claude-sonnet-4-20250514'
+  defaultModel: 'claude-sonnet-4-20250514',
+  // Battles beyond this many wait in a queue until one finishes
+  limits: { maxConcurrentBattles: 4 },
+  // USD per million tokens; models not listed are counted but not priced
+  pricing: {
+    'claude-opus-4-20250514': { input: 15, output: 75 },
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-haiku-4-20250514': { input: 0.8, output: 4 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 }
+  }
 };
 
 async function loadConfig() {
@@ -67,40 +80,46 @@ async function init() {
   await loadConfig();
   
   try {
-    db = setupDatabase('/data/arena.db');
+    db = setupDatabase(process.env.DB_PATH || '/data/arena.db');
     setupUserTable();
   } catch (e) {
     console.log('Running without database');
     db = null;
   }
   
-  arena = new Arena(db);
+  arena = new Arena(db, { maxConcurrent: config.limits?.maxConcurrentBattles });
+  
+  // Battles interrupted by a restart come back paused
+  const restored = await arena.restoreBattles(providerOptions, config.pricing);
+  if (restored) {
+    console.log(`♻️ Restored ${restored} unfinished battle(s)`);
+  }
+  return arena;
 }
 
-init();
+// Resolves with the arena once config and database are loaded
+const ready = init();
 
 // ============================================================================
 // AUTH MIDDLEWARE
 // ============================================================================
 
-function authMiddleware(req, res, next) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    req.user = null;
-    return next();
-  }
+// { id, username } for a valid token, else null
+function tokenUser(token) {
+  if (!token) return null;
   
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    return jwt.verify(token, JWT_SECRET);
   } catch (e) {
-    req.user = null;
-    next();
+    return null;
   }
 }
 
+function authMiddleware(req, res, next) {
+  req.user = tokenUser(req.headers.authorization?.replace('Bearer ', ''));
+  next();
+}
+
 function requireAuth(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: 'Authentication required' });
@@ -241,6 +260,21 @@ function setupUserTable() {
       )
     `);
     
+    // A whole battle setup, stored as the request POST /api/battle takes
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS scenarios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        visibility TEXT DEFAULT 'private',
+        config TEXT NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    
     // Create published_battles without foreign key constraint
     db.exec(`
       CREATE TABLE IF NOT EXISTS published_battles (
@@ -260,12 +294,72 @@ function setupUserTable() {
       )
     `);
     
+    addColumns(db, 'published_battles', {
+      battle_id: 'INTEGER',
+      judgment: 'TEXT',
+      end_reason: 'TEXT',
+      verified: 'INTEGER DEFAULT 0', // Copied from our battle record, not sent by the client
+      imported: 'INTEGER DEFAULT 0',
+      agents: 'TEXT',
+      started_at: 'INTEGER',
+      ended_at: 'INTEGER'
+    });
+    
+    // Archive search: full text of each entry, and its tags one per row
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS published_search USING fts5(title, description, prompt, content);
+      
+      CREATE TABLE IF NOT EXISTS published_tags (
+        published_id INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (published_id, tag)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_published_tags_tag ON published_tags(tag);
+    `);
+    
+    // Entries published before search existed
+    const unindexed = db.prepare(`
+      SELECT * FROM published_battles WHERE id NOT IN (SELECT rowid FROM published_search)
+    `).all();
+    unindexed.forEach(row => indexPublished(row.id, { ...row, transcript: JSON.parse(row.transcript || '[]') }));
+    
     console.log('User tables ready');
   } catch (e) {
     console.error('Failed to setup user tables:', e.message);
   }
 }
 
+// Lowercase, trimmed and without duplicates, from "a, b" or ["a", "b"]
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Error for the first of title, description and tags that isn't text, or null.
+// Repeated query parameters arrive as arrays and JSON bodies can hold anything.
+function entryFieldsError({ title, description, tags }) {
+  for (const [field, value] of Object.entries({ title, description })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') return `${field} must be a string`;
+  }
+  if (tags !== undefined && tags !== null && typeof tags !== 'string' && !(Array.isArray(tags) && tags.every(t => typeof t === 'string'))) {
+    return 'tags must be a string or a list of strings';
+  }
+  return null;
+}
+
+// Put a published battle into the search index and tag table, replacing what was there
+function indexPublished(id, { title, description, prompt, transcript, tags }) {
+  db.prepare('DELETE FROM published_search WHERE rowid = ?').run(id);
+  db.prepare(`
+    INSERT INTO published_search (rowid, title, description, prompt, content) VALUES (?, ?, ?, ?, ?)
+  `).run(id, title || '', description || '', prompt || '', transcript.map(t => t.content).join('\n\n'));
+  
+  db.prepare('DELETE FROM published_tags WHERE published_id = ?').run(id);
+  const addTag = db.prepare('INSERT OR IGNORE INTO published_tags (published_id, tag) VALUES (?, ?)');
+  normalizeTags(tags).forEach(tag => addTag.run(id, tag));
+}
+
 function upsertUser(data) {
   if (!db) {
     // Return fake user for dev without db
@@ -302,19 +396,45 @@ function upsertUser(data) {
 // API ROUTES
 // ============================================================================
 
+// Config as sent to the browser - provider API keys never leave the server
+function publicConfig() {
+  const providers = {};
+  for (const [name, settings] of Object.entries(config.providers || {})) {
+    const { apiKey, ...rest } = settings || {};
+    providers[name] = { ...rest, hasApiKey: !!apiKey };
+  }
+  return { ...config, providers };
+}
+
+// Options for a provider, as configured under config.providers
+function providerOptions(provider) {
+  return providerSettings(config.providers, provider);
+}
+
 // Get config
 app.get('/api/config', (req, res) => {
-  res.json(config);
+  res.json(publicConfig());
 });
 
 // Update config
 app.post('/api/config', async (req, res) => {
-  config = { ...config, ...req.body };
+  const providers = { ...config.providers };
+  for (const [name, settings] of Object.entries(req.body.providers || {})) {
+    // Cassettes and record mode are set in config.json only: recording writes files on the server
+    const { hasApiKey, cassette, mode, ...rest } = settings || {};
+    const current = { ...providers[name] };
+    // A stored key never follows the provider to a new endpoint, which could be anyone's
+    if (rest.endpoint !== undefined && rest.endpoint !== current.endpoint) delete current.apiKey;
+    // The browser never sees stored keys, so only replace one when a new key is sent
+    if (!rest.apiKey) delete rest.apiKey;
+    providers[name] = { ...current, ...rest };
+  }
+  config = { ...config, ...req.body, providers };
   try {
     await fs.writeFile('./config.json', JSON.stringify(config, null, 2));
-    res.json({ success: true, config });
+    res.json({ success: true, config: publicConfig() });
   } catch (e) {
-    res.json({ success: true, config, saved: false });
+    res.json({ success: true, config: publicConfig(), saved: false });
   }
 });
 
@@ -348,50 +468,54 @@ app.get('/api/models', (req, res) => {
     );
   }
   
+  // Add OpenAI-compatible models (OpenAI, xAI, vLLM, LM Studio...) if enabled
+  if (config.providers?.openai?.enabled) {
+    (config.providers.openai.models || []).forEach(id => {
+      models.push({ id, name: id, provider: 'openai' });
+    });
+  }
+  
+  // Offline providers: canned replies, or a cassette recorded from (or replayed in place of) another provider
+  if (config.providers?.mock?.enabled) {
+    models.push({ id: 'mock', name: 'Mock', provider: 'mock' });
+  }
+  if (config.providers?.replay?.enabled) {
+    (config.providers.replay.models || [config.defaultModel]).forEach(id => {
+      models.push({ id, name: `${id} (${config.providers.replay.mode || 'replay'})`, provider: 'replay' });
+    });
+  }
+  
   res.json(models);
 });
 
+// Create a battle from a validated request and hand it to the scheduler
+async function launchBattle(request, userId) {
+  const battle = await arena.createBattle({
+    ...battleConfig(request, { resolveProvider: providerOptions, defaultModel: config.defaultModel }),
+    id: nextBattleId(),
+    userId,
+    prices: config.pricing || {}
+  });
+  
+  const queuePosition = arena.schedule(battle);
+  
+  return {
+    success: true,
+    battleId: battle.id,
+    queuePosition: queuePosition || null,
+    agents: battle.agents.map(a => ({ name: a.displayName || a.name, model: a.model }))
+  };
+}
+
 // Create and start battle
 app.post('/api/battle', async (req, res) => {
   try {
-    const { agents, prompt, useIndividualPrompts, anonymousMode, maxTurns, turnDelay, maxWords } = req.body;
-    
-    if (!agents || agents.length < 2) {
-      return res.status(400).json({ error: 'Need at least 2 agents' });
+    const error = validateBattleRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
     
-    // Build agent configs
-    const agentConfigs = agents.map((a, i) => ({
-      name: a.name || `Agent ${i + 1}`,
-      displayName: a.displayName || a.name || `Agent ${i + 1}`,
-      provider: a.provider || 'anthropic',
-      model: a.model || config.defaultModel,
-      soul: a.soul || null,
-      brain: a.brain || null,
-      prompt: a.prompt || null, // Individual prompt per agent
-      endpoint: config.providers?.ollama?.endpoint || null,
-      anonymous: anonymousMode || false
-    }));
-    
-    const battle = await arena.createBattle({
-      id: Date.now(),
-      agents: agentConfigs,
-      prompt: prompt || null,
-      useIndividualPrompts: useIndividualPrompts || false,
-      anonymousMode: anonymousMode || false,
-      maxTurns: maxTurns || 20,
-      turnDelay: turnDelay || 3000,
-      maxWords: maxWords || null
-    });
-    
-    battle.start();
-    
-    res.json({
-      success: true,
-      battleId: battle.id,
-      agents: battle.agents.map(a => ({ name: a.displayName || a.name, model: a.model }))
-    });
-    
+    res.json(await launchBattle(req.body, req.user?.id || null));
   } catch (e) {
     console.error('Battle creation error:', e);
     res.status(500).json({ error: e.message });
@@ -402,9 +526,9 @@ app.post('/api/battle', async (req, res) => {
 app.get('/api/battle/:id', (req, res) => {
   const battle = arena.getBattle(parseInt(req.params.id));
   if (battle) {
-    res.json(battle.toJSON());
+    res.json({ ...battle.viewFor(req.user?.id), queuePosition: arena.queuePosition(battle.id) });
   } else {
-    const archived = arena.getBattleHistory(parseInt(req.params.id));
+    const archived = arena.getBattleHistory(parseInt(req.params.id), req.user?.id);
     if (archived) {
       res.json(archived);
     } else {
@@ -413,28 +537,189 @@ app.get('/api/battle/:id', (req, res) => {
   }
 });
 
+// Get an agent's brain - after completion it holds the memories from this battle
+app.get('/api/battle/:id/brain/:agent', (req, res) => {
+  const battle = arena.getBattle(parseInt(req.params.id));
+  const agent = battle?.agents[parseInt(req.params.agent)];
+  // Memories from someone else's battle stay theirs
+  if (!agent || (battle.userId && battle.userId !== req.user?.id)) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  const ref = battle.brainRefs[parseInt(req.params.agent)];
+  res.json({ name: agent.name, brain: agent.brain, ...ref });
+});
+
 // Pause battle
 app.post('/api/battle/:id/pause', (req, res) => {
   const battle = arena.getBattle(parseInt(req.params.id));
-  if (battle) {
-    battle.pause();
-    res.json({ success: true });
-  } else {
-    res.status(404).json({ error: 'Battle not found' });
+  if (!battle) {
+    return res.status(404).json({ error: 'Battle not found' });
+  }
+  if (battle.status !== 'running') {
+    return res.status(409).json({ error: `Battle is ${battle.status}, not running` });
   }
+  
+  battle.pause();
+  res.json({ success: true });
 });
 
 // Resume battle
 app.post('/api/battle/:id/resume', (req, res) => {
   const battle = arena.getBattle(parseInt(req.params.id));
   if (battle) {
-    battle.resume();
-    res.json({ success: true });
+    res.json({ success: true, queuePosition: arena.resumeBattle(battle) || null });
+  } else {
+    res.status(404).json({ error: 'Battle not found' });
+  }
+});
+
+// Retry the turn that failed an errored battle
+app.post('/api/battle/:id/retry', (req, res) => {
+  const battle = arena.getBattle(parseInt(req.params.id));
+  if (!battle) {
+    return res.status(404).json({ error: 'Battle not found' });
+  }
+  
+  const queuePosition = arena.retryBattle(battle);
+  if (queuePosition !== null) {
+    res.json({ success: true, queuePosition: queuePosition || null });
+  } else {
+    res.status(409).json({ error: `Battle is ${battle.status}, not errored` });
+  }
+});
+
+// Inject a narrator event. targets: agent indices or names (default: everyone)
+app.post('/api/battle/:id/inject', (req, res) => {
+  const battle = arena.getBattle(parseInt(req.params.id));
+  if (!battle) {
+    return res.status(404).json({ error: 'Battle not found' });
+  }
+  if (battle.status === 'complete') {
+    return res.status(409).json({ error: 'Battle is already complete' });
+  }
+  
+  const { content, targets, delivery = 'next_turn' } = req.body;
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'content is required' });
+  }
+  if (!INJECTION_DELIVERIES.includes(delivery)) {
+    return res.status(400).json({ error: `delivery must be one of: ${INJECTION_DELIVERIES.join(', ')}` });
+  }
+  if (targets !== undefined && targets !== null && !Array.isArray(targets)) {
+    return res.status(400).json({ error: 'targets must be an array' });
+  }
+  
+  const indices = [];
+  for (const target of targets || []) {
+    const index = Number.isInteger(target) ? target
+      : battle.agents.findIndex(a => a.name === target || a.displayName === target);
+    if (!battle.agents[index]) {
+      return res.status(400).json({ error: `Unknown target: ${target}` });
+    }
+    if (!indices.includes(index)) indices.push(index);
+  }
+  
+  const entry = battle.inject({ content: content.trim(), targets: indices, delivery });
+  res.json({ success: true, delivery, injection: entry });
+});
+
+// Fork an alternate timeline at `turn` (0-based, as in the battle's history).
+// With `content`, that turn is kept but says `content` instead; without it,
+// the turn is played again from the same history.
+app.post('/api/battle/:id/fork', async (req, res) => {
+  const source = arena.forkSource(parseInt(req.params.id));
+  if (!source) {
+    return res.status(404).json({ error: 'Battle not found' });
+  }
+  // A fork carries the souls and secret directives of its source
+  if (!source.record.user_id || source.record.user_id !== req.user?.id) {
+    return res.status(403).json({ error: 'Only the battle owner can fork it' });
+  }
+  
+  const { turn, content } = req.body;
+  const spoken = source.history.filter(t => t.role !== 'narrator').length;
+  if (!Number.isInteger(turn) || turn < 0 || turn > spoken) {
+    return res.status(400).json({ error: `turn must be between 0 and ${spoken}` });
+  }
+  if (content !== undefined && content !== null) {
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content must be a non-empty string' });
+    }
+    if (turn === spoken) {
+      return res.status(400).json({ error: `Turn ${turn} has not been played, nothing to edit` });
+    }
+  }
+  
+  try {
+    const battle = await arena.forkBattle(source, {
+      turn,
+      content: content?.trim() || null,
+      resolveProvider: providerOptions,
+      prices: config.pricing || {},
+      userId: req.user?.id || null
+    });
+    const queuePosition = arena.schedule(battle);
+    
+    res.json({ success: true, battleId: battle.id, fork: battle.fork, queuePosition: queuePosition || null });
+  } catch (e) {
+    console.error('Fork error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Parent and child battles of a fork tree
+app.get('/api/battle/:id/tree', (req, res) => {
+  const tree = arena.getBattleTree(parseInt(req.params.id));
+  if (tree) {
+    res.json(tree);
   } else {
     res.status(404).json({ error: 'Battle not found' });
   }
 });
 
+
+// Owners also get souls, secret directives and settings
+function withSetup(record, ownerId, user) {
+  return ownerId && ownerId === user?.id ? { ...record, setup: arena.getBattleSetup(record.battleId) } : record;
+}
+
+function sendExport(res, record, format, name) {
+  const file = exportTranscript(record, format);
+  if (!file) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  res.type(file.type);
+  res.attachment(`${name}.${file.extension}`);
+  res.send(file.body);
+}
+
+// Transcript as ?format=markdown (default), json, jsonl, html or csv
+app.get('/api/battle/:id/export', (req, res) => {
+  const source = arena.getTranscript(parseInt(req.params.id));
+  if (!source) {
+    return res.status(404).json({ error: 'Battle not found' });
+  }
+  
+  const owner = !!source.userId && source.userId === req.user?.id;
+  const record = {
+    battleId: source.id,
+    publishedId: null,
+    title: null,
+    prompt: source.prompt,
+    agents: source.agents,
+    status: source.status,
+    startTime: source.startTime,
+    endTime: source.endTime,
+    endReason: source.endReason,
+    judgment: source.judgment,
+    verified: true,
+    imported: false,
+    transcript: visibleTranscript(source.transcript, owner)
+  };
+  
+  sendExport(res, withSetup(record, source.userId, req.user), req.query.format || 'markdown', `battle-${source.id}`);
+});
+
 // List active battles
 app.get('/api/battles', (req, res) => {
   res.json(arena.getAllBattles());
@@ -455,11 +740,110 @@ app.get('/health', (req, res) => {
     auth: !!GITHUB_CLIENT_ID,
     config: {
       anthropic: config.providers?.anthropic?.enabled,
-      ollama: config.providers?.ollama?.enabled
-    }
+      ollama: config.providers?.ollama?.enabled,
+      openai: config.providers?.openai?.enabled
+    },
+    usage: arena.getUsageTotals()
   });
 });
 
+// Tokens and cost of every battle the logged-in user started, by model
+app.get('/api/usage', requireAuth, (req, res) => {
+  res.json(arena.getUsage(req.user.id));
+});
+
+// ============================================================================
+// STORED BRAINS
+// ============================================================================
+
+// Stored brains are private to whoever started the battles that made them
+
+// The brain in :id if it belongs to the signed-in user
+function ownBrain(req) {
+  const brain = arena.brains.get(parseInt(req.params.id));
+  return brain?.user_id === req.user.id ? brain : null;
+}
+
+// The user's brains, each with its latest version
+app.get('/api/brains/stored', requireAuth, (req, res) => {
+  if (!arena.brains) {
+    return res.status(503).json({ error: 'Brain storage needs the database' });
+  }
+  res.json(arena.brains.list(req.user.id));
+});
+
+// Version history, newest first
+app.get('/api/brains/:id/versions', requireAuth, (req, res) => {
+  if (!arena.brains) {
+    return res.status(503).json({ error: 'Brain storage needs the database' });
+  }
+  
+  const brain = ownBrain(req);
+  if (!brain) {
+    return res.status(404).json({ error: 'Brain not found' });
+  }
+  res.json({ ...brain, versions: arena.brains.listVersions(brain.id) });
+});
+
+// One version in full
+app.get('/api/brains/:id/versions/:version', requireAuth, (req, res) => {
+  if (!arena.brains) {
+    return res.status(503).json({ error: 'Brain storage needs the database' });
+  }
+  
+  const brain = ownBrain(req);
+  const version = brain && arena.brains.getVersion(brain.id, parseInt(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  res.json(version);
+});
+
+// Compare two versions: ?from=1&to=3 (to defaults to the latest)
+app.get('/api/brains/:id/diff', requireAuth, (req, res) => {
+  if (!arena.brains) {
+    return res.status(503).json({ error: 'Brain storage needs the database' });
+  }
+  
+  const brain = ownBrain(req);
+  if (!brain) {
+    return res.status(404).json({ error: 'Brain not found' });
+  }
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to) || arena.brains.getLatest(brain.id)?.version;
+  if (!from) {
+    return res.status(400).json({ error: 'from version is required' });
+  }
+  
+  const diff = arena.brains.diff(brain.id, from, to);
+  if (!diff) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  res.json(diff);
+});
+
+// Make an old version the latest again (appended as a new version)
+app.post('/api/brains/:id/rollback', requireAuth, (req, res) => {
+  if (!arena.brains) {
+    return res.status(503).json({ error: 'Brain storage needs the database' });
+  }
+  
+  const brain = ownBrain(req);
+  if (!brain) {
+    return res.status(404).json({ error: 'Brain not found' });
+  }
+  const version = parseInt(req.body.version);
+  if (!version) {
+    return res.status(400).json({ error: 'version is required' });
+  }
+  
+  const result = arena.brains.rollback(brain.id, version);
+  if (!result) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  res.json({ success: true, ...result });
+});
+
 // ============================================================================
 // USER PRESETS
 // ============================================================================
@@ -525,25 +909,381 @@ app.delete('/api/presets/:id', requireAuth, (req, res) => {
   }
 });
 
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+const SCENARIO_VISIBILITIES = ['private', 'public'];
+const SCENARIO_SETTINGS = ['prompt', 'promptMode', 'anonymousMode', 'maxTurns', 'maxWords', 'turnDelay',
+  'turnPolicy', 'director', 'context', 'loopDetection', 'stopConditions', 'judge'];
+const SCENARIO_AGENT_FIELDS = ['name', 'displayName', 'model', 'provider', 'soul', 'soulName', 'brain', 'brainName', 'brainId', 'prompt'];
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => obj[k] !== undefined).map(k => [k, obj[k]]));
+}
+
+// The battle request a scenario keeps: agents with their directives plus battle settings
+function scenarioConfig(body) {
+  return {
+    ...pick(body, SCENARIO_SETTINGS),
+    agents: (body.agents || []).map(a => pick(a || {}, SCENARIO_AGENT_FIELDS))
+  };
+}
+
+// Error message for the first field of a scenario that can't be saved, or null.
+// `partial` allows leaving out fields on update.
+function validateScenario(body, partial = false) {
+  const { name, visibility, config: scenario } = body;
+  
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) return 'name is required';
+  if (visibility !== undefined && !SCENARIO_VISIBILITIES.includes(visibility)) {
+    return `visibility must be one of: ${SCENARIO_VISIBILITIES.join(', ')}`;
+  }
+  if (!partial || scenario !== undefined) {
+    if (!scenario || typeof scenario !== 'object') return 'config is required';
+    return validateBattleRequest(scenario);
+  }
+  return null;
+}
+
+function parseScenario(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    visibility: row.visibility,
+    userId: row.user_id,
+    username: row.username,
+    config: JSON.parse(row.config),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// A scenario `user` may see: their own, or anyone's public one
+function getScenario(id, user) {
+  const row = db.prepare(`
+    SELECT s.*, u.username FROM scenarios s
+    LEFT JOIN users u ON s.user_id = u.id
+    WHERE s.id = ?
+  `).get(id);
+  
+  if (!row || (row.visibility !== 'public' && row.user_id !== user?.id)) return null;
+  return parseScenario(row);
+}
+
+// Your scenarios and everyone's public ones, without their configs
+app.get('/api/scenarios', (req, res) => {
+  if (!db) {
+    return res.json([]);
+  }
+  
+  try {
+    const rows = db.prepare(`
+      SELECT s.*, u.username FROM scenarios s
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE s.visibility = 'public' OR s.user_id = ?
+      ORDER BY s.updated_at DESC, s.id DESC
+    `).all(req.user?.id ?? null);
+    
+    res.json(rows.map(row => {
+      const { config: scenario, ...summary } = parseScenario(row);
+      return { ...summary, agents: scenario.agents.map(a => a.name), mine: row.user_id === req.user?.id };
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/scenarios/:id', (req, res) => {
+  const scenario = db && getScenario(parseInt(req.params.id), req.user);
+  if (scenario) {
+    res.json(scenario);
+  } else {
+    res.status(404).json({ error: 'Scenario not found' });
+  }
+});
+
+// Save a scenario: { name, description, visibility, config } where config is a battle request
+app.post('/api/scenarios', requireAuth, (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  const error = validateScenario(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { name, description, visibility } = req.body;
+  
+  try {
+    const result = db.prepare(`
+      INSERT INTO scenarios (user_id, name, description, visibility, config)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      req.user.id,
+      name.trim(),
+      description || null,
+      visibility || 'private',
+      JSON.stringify(scenarioConfig(req.body.config))
+    );
+    
+    res.json({ success: true, id: result.lastInsertRowid });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Change any of name, description, visibility and config; owners only
+app.put('/api/scenarios/:id', requireAuth, (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  const error = validateScenario(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { name, description, visibility, config: scenario } = req.body;
+  
+  try {
+    const row = db.prepare('SELECT * FROM scenarios WHERE id = ? AND user_id = ?').get(parseInt(req.params.id), req.user.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    
+    db.prepare(`
+      UPDATE scenarios SET name = ?, description = ?, visibility = ?, config = ?, updated_at = strftime('%s', 'now')
+      WHERE id = ?
+    `).run(
+      name?.trim() ?? row.name,
+      description !== undefined ? description || null : row.description,
+      visibility ?? row.visibility,
+      scenario ? JSON.stringify(scenarioConfig(scenario)) : row.config,
+      row.id
+    );
+    
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/scenarios/:id', requireAuth, (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  try {
+    const result = db.prepare('DELETE FROM scenarios WHERE id = ? AND user_id = ?').run(
+      parseInt(req.params.id),
+      req.user.id
+    );
+    
+    if (!result.changes) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Start a battle from a scenario. Settings in the body replace the scenario's for this run.
+app.post('/api/scenarios/:id/battle', async (req, res) => {
+  const scenario = db && getScenario(parseInt(req.params.id), req.user);
+  if (!scenario) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+  
+  const request = { ...scenario.config, ...pick(req.body || {}, SCENARIO_SETTINGS) };
+  const error = validateBattleRequest(request);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    res.json({ ...(await launchBattle(request, req.user?.id || null)), scenarioId: scenario.id });
+  } catch (e) {
+    console.error('Scenario battle error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ============================================================================
+// EXPERIMENTS
+// ============================================================================
+
+// Start an experiment: a battle request run over a parameter grid (see EXPERIMENTS in arena.js)
+app.post('/api/experiments', (req, res) => {
+  const error = validateExperiment(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const experiment = arena.startExperiment(req.body, {
+    resolveProvider: providerOptions,
+    defaultModel: config.defaultModel,
+    prices: config.pricing || {},
+    userId: req.user?.id || null
+  });
+  
+  res.json({ success: true, experimentId: experiment.id, cells: experiment.cells.length, runs: experiment.runs.length });
+});
+
+app.get('/api/experiments', (req, res) => {
+  res.json(arena.getExperiments());
+});
+
+// Progress, per-cell and overall stats, and every run
+app.get('/api/experiments/:id', (req, res) => {
+  const experiment = arena.getExperiment(parseInt(req.params.id));
+  if (experiment) {
+    res.json(experiment.toJSON());
+  } else {
+    res.status(404).json({ error: 'Experiment not found' });
+  }
+});
+
+// One row per run, as ?format=csv (default) or jsonl
+app.get('/api/experiments/:id/export', (req, res) => {
+  const experiment = arena.getExperiment(parseInt(req.params.id));
+  if (!experiment) {
+    return res.status(404).json({ error: 'Experiment not found' });
+  }
+  
+  const format = req.query.format || 'csv';
+  if (format !== 'csv' && format !== 'jsonl') {
+    return res.status(400).json({ error: 'format must be csv or jsonl' });
+  }
+  
+  res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  res.attachment(`experiment-${experiment.id}.${format}`);
+  res.send(format === 'csv' ? experiment.toCSV() : experiment.toJSONL());
+});
+
 // ============================================================================
 // ARCHIVE
 // ============================================================================
 
-// Get published battles
+const ARCHIVE_SORTS = { newest: 'created_at', views: 'views', longest: 'turns' };
+const ARCHIVE_PAGE_SIZE = 20;
+const ARCHIVE_MAX_PAGE_SIZE = 50;
+
+// Every word must appear; the last may be the start of one. Quoting each word
+// keeps FTS5 operators and punctuation in user input from being parsed.
+function searchQuery(text) {
+  const words = text.match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.map((w, i) => `"${w}"${i === words.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Cursors carry the sort value and id of the last entry on the page
+function encodeCursor(row, column) {
+  return Buffer.from(JSON.stringify([row[column], row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isFinite(id) ? { value, id } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function archiveEntry(row) {
+  const { transcript, ...entry } = row;
+  return {
+    ...entry,
+    tags: normalizeTags(row.tags),
+    agents: row.agents ? JSON.parse(row.agents) : null
+  };
+}
+
+// Published battles, newest first by default.
+// ?q= full-text search over titles, descriptions, prompts and turns
+// ?tags=a,b entries with all of these tags   ?model= entries where some agent used it
+// ?sort=newest|views|longest   ?limit=   ?cursor= the nextCursor of the previous page
 app.get('/api/archive/published', (req, res) => {
   if (!db) {
-    return res.json([]);
+    return res.json({ entries: [], nextCursor: null });
+  }
+  
+  const sort = req.query.sort || 'newest';
+  const column = ARCHIVE_SORTS[sort];
+  if (!column) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(ARCHIVE_SORTS).join(', ')}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || ARCHIVE_PAGE_SIZE, 1), ARCHIVE_MAX_PAGE_SIZE);
+  
+  const joins = [];
+  const where = [];
+  const params = [];
+  let snippet = 'NULL';
+  
+  const q = searchQuery(String(req.query.q || ''));
+  if (q) {
+    joins.push('JOIN published_search ON published_search.rowid = pb.id');
+    where.push('published_search MATCH ?');
+    params.push(q);
+    snippet = `snippet(published_search, -1, '[[', ']]', '…', 16)`;
+  }
+  for (const tag of normalizeTags(req.query.tags)) {
+    where.push('EXISTS (SELECT 1 FROM published_tags t WHERE t.published_id = pb.id AND t.tag = ?)');
+    params.push(tag);
+  }
+  if (req.query.model) {
+    where.push(`EXISTS (SELECT 1 FROM json_each(pb.agents) WHERE json_extract(value, '$.model') = ?)`);
+    params.push(req.query.model);
+  }
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    where.push(`(pb.${column} < ? OR (pb.${column} = ? AND pb.id < ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
   }
   
   try {
-    const battles = db.prepare(`
-      SELECT pb.*, u.username 
+    const rows = db.prepare(`
+      SELECT pb.*, u.username, ${snippet} AS snippet
       FROM published_battles pb
       LEFT JOIN users u ON pb.user_id = u.id
-      ORDER BY pb.created_at DESC
-      LIMIT 50
+      ${joins.join(' ')}
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY pb.${column} DESC, pb.id DESC
+      LIMIT ?
+    `).all(...params, limit + 1);
+    
+    const page = rows.slice(0, limit);
+    res.json({
+      entries: page.map(archiveEntry),
+      nextCursor: rows.length > limit ? encodeCursor(page.at(-1), column) : null
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Tags and models in the archive with how many entries have each, for filters
+app.get('/api/archive/facets', (req, res) => {
+  if (!db) {
+    return res.json({ tags: [], models: [] });
+  }
+  
+  try {
+    const tags = db.prepare(`
+      SELECT tag, COUNT(*) AS count FROM published_tags GROUP BY tag ORDER BY count DESC, tag
+    `).all();
+    const models = db.prepare(`
+      SELECT model, COUNT(DISTINCT id) AS count FROM (
+        SELECT pb.id, json_extract(a.value, '$.model') AS model FROM published_battles pb, json_each(pb.agents) a
+      ) WHERE model IS NOT NULL GROUP BY model ORDER BY count DESC, model
     `).all();
-    res.json(battles);
+    res.json({ tags, models });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -572,57 +1312,204 @@ app.get('/api/archive/:id', (req, res) => {
     
     res.json({
       ...battle,
-      transcript: JSON.parse(battle.transcript || '[]')
+      transcript: visibleTranscript(JSON.parse(battle.transcript || '[]'), battle.user_id === req.user?.id),
+      judgment: battle.judgment ? JSON.parse(battle.judgment) : null,
+      agents: battle.agents ? JSON.parse(battle.agents) : null,
+      tags: normalizeTags(battle.tags)
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Publish battle to archive
-app.post('/api/archive/publish', (req, res) => {
+// A published battle in any export format (see /api/battle/:id/export)
+app.get('/api/archive/:id/export', (req, res) => {
+  const entry = db && db.prepare('SELECT * FROM published_battles WHERE id = ?').get(parseInt(req.params.id));
+  if (!entry) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  
+  const source = entry.battle_id && arena.getTranscript(entry.battle_id);
+  const record = {
+    battleId: entry.battle_id,
+    publishedId: entry.id,
+    title: entry.title,
+    prompt: entry.prompt,
+    agents: entry.agents ? JSON.parse(entry.agents) : [{ name: entry.agent1 }, { name: entry.agent2 }],
+    status: source?.status ?? null,
+    startTime: entry.started_at,
+    endTime: entry.ended_at,
+    endReason: entry.end_reason,
+    judgment: entry.judgment ? JSON.parse(entry.judgment) : null,
+    verified: !!entry.verified,
+    imported: !!entry.imported,
+    transcript: visibleTranscript(JSON.parse(entry.transcript || '[]'), entry.user_id === req.user?.id)
+  };
+  
+  sendExport(res, entry.verified ? withSetup(record, source?.userId, req.user) : record, req.query.format || 'markdown', `published-${entry.id}`);
+});
+
+// Publish battle to archive. The transcript, agents and timestamps are copied
+// from our own record of `battleId`, and the entry is marked verified.
+// Transcripts from elsewhere go through /api/archive/import instead.
+app.post('/api/archive/publish', requireAuth, (req, res) => {
+  if (!db) {
+    return res.status(500).json({ error: 'Database not available' });
+  }
+  
+  const { title, description, tags } = req.body;
+  const error = entryFieldsError(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const source = arena.getTranscript(parseInt(req.body.battleId));
+  if (!source) {
+    return res.status(404).json({ error: 'Battle not found; to add a transcript from elsewhere, use /api/archive/import' });
+  }
+  // Battles started without a login belong to no one, so no one can publish them as theirs
+  if (!source.userId || source.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the battle owner can publish it' });
+  }
+  if (!source.transcript.some(t => t.role !== 'narrator')) {
+    return res.status(400).json({ error: 'Nothing to publish yet, the battle has no turns' });
+  }
+  
+  const entry = {
+    battleId: source.id,
+    agents: source.agents,
+    agent1: source.agents[0]?.name,
+    agent2: source.agents.slice(1).map(a => a.name).join(', '),
+    prompt: source.prompt,
+    // The archive is public, so private narration stays with the battle
+    transcript: visibleTranscript(source.transcript, false),
+    judgment: source.judgment,
+    endReason: source.endReason,
+    startTime: source.startTime,
+    endTime: source.endTime
+  };
+  
+  try {
+    const id = insertPublished(req.user.id, entry, { title, description, tags, imported: false });
+    res.json({ success: true, id, verified: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Import a conversation from another tool: JSONL, a ChatML message array or our
+// Markdown export. Send the file as a text body with format, title, description
+// and tags in the query (large files don't fit the JSON body limit), or as JSON
+// { content, format, title, description, tags }.
+app.post('/api/archive/import', requireAuth, express.text({ type: 'text/*', limit: '5mb' }), (req, res) => {
   if (!db) {
     return res.status(500).json({ error: 'Database not available' });
   }
   
-  const { title, description, tags, agent1, agent2, prompt, transcript } = req.body;
-  const userId = req.user?.id || null;
+  const raw = typeof req.body === 'string';
+  const options = raw ? req.query : req.body;
+  const error = entryFieldsError(options) || (options.format != null && typeof options.format !== 'string' ? 'format must be a string' : null);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
+  let parsed;
   try {
-    const turns = transcript?.length || 0;
-    const preview = transcript?.[0]?.content?.slice(0, 200) || '';
-    
-    const result = db.prepare(`
-      INSERT INTO published_battles (user_id, title, description, tags, agent1, agent2, prompt, turns, transcript, preview)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      userId,
-      title || `${agent1} vs ${agent2}`,
-      description || null,
-      tags || null,
-      agent1,
-      agent2,
-      prompt,
-      turns,
-      JSON.stringify(transcript),
-      preview
-    );
-    
-    res.json({ success: true, id: result.lastInsertRowid });
+    parsed = parseTranscript(raw ? req.body : options.content, options.format || null);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  
+  const timestamps = parsed.transcript.map(t => t.timestamp).filter(Boolean);
+  const entry = {
+    battleId: null,
+    agents: parsed.agents,
+    agent1: parsed.agents[0].name,
+    agent2: parsed.agents.slice(1).map(a => a.name).join(', ') || 'Unknown',
+    prompt: parsed.prompt,
+    transcript: parsed.transcript,
+    judgment: null,
+    endReason: null,
+    startTime: timestamps.length ? Math.min(...timestamps) : null,
+    endTime: timestamps.length ? Math.max(...timestamps) : null
+  };
+  
+  try {
+    const id = insertPublished(req.user.id, entry, {
+      title: options.title || parsed.title,
+      description: options.description,
+      tags: options.tags,
+      imported: true
+    });
+    res.json({ success: true, id, turns: entry.transcript.filter(t => t.role !== 'narrator').length, agents: entry.agents });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// Store an archive entry and index it for search; returns its id
+function insertPublished(userId, entry, { title, description, tags, imported }) {
+  // Narrator events ride along in the transcript but are not turns
+  const spoken = entry.transcript.filter(t => t.role !== 'narrator');
+  title = title || `${entry.agent1} vs ${entry.agent2}`;
+  
+  const result = db.prepare(`
+    INSERT INTO published_battles (user_id, title, description, tags, agent1, agent2, prompt, turns, transcript, preview,
+      battle_id, judgment, end_reason, verified, imported, agents, started_at, ended_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    title,
+    description || null,
+    normalizeTags(tags).join(', ') || null,
+    entry.agent1,
+    entry.agent2,
+    entry.prompt,
+    spoken.length,
+    JSON.stringify(entry.transcript),
+    spoken[0]?.content?.slice(0, 200) || '',
+    entry.battleId,
+    entry.judgment ? JSON.stringify(entry.judgment) : null,
+    entry.endReason || null,
+    entry.battleId ? 1 : 0,
+    imported ? 1 : 0,
+    entry.agents ? JSON.stringify(entry.agents) : null,
+    entry.startTime,
+    entry.endTime
+  );
+  
+  indexPublished(result.lastInsertRowid, { title, description, tags, ...entry });
+  return result.lastInsertRowid;
+}
+
 // ============================================================================
 // WEBSOCKET
 // ============================================================================
 
 const wss = new WebSocket.Server({ noServer: true });
 
+// Clients pick the battles they watch:
+//   { "type": "subscribe", "battleId": 123 }   -> snapshot, then live events
+//   { "type": "unsubscribe", "battleId": 123 }
 wss.on('connection', (ws) => {
   arena.addSpectator(ws);
   
+  ws.on('message', (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    
+    const battleId = parseInt(msg.battleId);
+    if (msg.type === 'subscribe') {
+      arena.subscribe(ws, battleId, tokenUser(msg.token)?.id ?? null);
+    } else if (msg.type === 'unsubscribe') {
+      arena.unsubscribe(ws, battleId);
+    }
+  });
+  
   ws.on('close', () => {
     arena.removeSpectator(ws);
   });
@@ -632,17 +1519,20 @@ wss.on('connection', (ws) => {
 // SERVER
 // ============================================================================
 
-const server = app.listen(PORT, () => {
-  console.log(`
+// Tests require the module and listen on a port of their own
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`
 PHOENIX ARENA
 Port: ${PORT}
 Database: ${db ? 'Connected' : 'In-memory'}
 Auth: ${GITHUB_CLIENT_ID ? 'GitHub OAuth enabled' : 'Not configured'}
   `);
-});
-
-server.on('upgrade', (req, socket, head) => {
-  wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
-});
+  });
+  
+  server.on('upgrade', (req, socket, head) => {
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  });
+}
 
-module.exports = { app, arena };
+module.exports = { app, ready };
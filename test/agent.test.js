@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Agent } = require('../arena');
+const { FakeProvider, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+test('system prompt puts identity, shared prompt, directive, rules, soul and brain in that order', () => {
+  const agent = new Agent({
+    name: 'Ada',
+    provider: 'mock',
+    sharedPrompt: 'SHARED',
+    prompt: 'DIRECTIVE',
+    soul: 'SOUL',
+    brain: {
+      knowledgeGraph: { concepts: [['tea', { name: 'Tea', definition: 'A drink' }]] },
+      conversationMemories: [{ key: 'met_bo', value: 'Bo likes coffee' }],
+      stats: { totalConversations: 3 }
+    }
+  });
+  agent.rules = 'RULES';
+  
+  const prompt = agent.buildSystemPrompt();
+  const order = ['You are Ada.', 'SHARED', 'Your directive: DIRECTIVE', 'RULES', 'SOUL',
+    '- Tea: A drink', '- met_bo: Bo likes coffee', 'You have had 3 conversations.'];
+  const positions = order.map(part => prompt.indexOf(part));
+  
+  assert.ok(positions.every(p => p !== -1), `missing part in:\n${prompt}`);
+  assert.deepEqual(positions, [...positions].sort((a, b) => a - b));
+});
+
+test('anonymous agents get no identity line', () => {
+  const agent = new Agent({ name: 'Ada', provider: 'mock', anonymous: true, sharedPrompt: 'SHARED' });
+  assert.equal(agent.buildSystemPrompt(), 'SHARED\n\n');
+});
+
+test('system prompt is null when there is nothing to say', () => {
+  const agent = new Agent({ name: 'Ada', provider: 'mock', anonymous: true });
+  assert.equal(agent.buildSystemPrompt(), null);
+});
+
+test("the brain's soul is only used without a soul file", () => {
+  const brain = { soul: 'BRAIN SOUL' };
+  
+  const withSoul = new Agent({ name: 'Ada', provider: 'mock', soul: 'FILE SOUL', brain });
+  assert.ok(withSoul.buildSystemPrompt().includes('FILE SOUL'));
+  assert.ok(!withSoul.buildSystemPrompt().includes('BRAIN SOUL'));
+  
+  const withoutSoul = new Agent({ name: 'Ada', provider: 'mock', brain });
+  assert.ok(withoutSoul.buildSystemPrompt().includes('BRAIN SOUL'));
+});
+
+test('respond streams when asked for deltas', async () => {
+  const agent = new Agent({ name: 'Ada', provider: 'mock' });
+  agent.provider = new FakeProvider(['Streamed.']);
+  
+  const deltas = [];
+  const { text } = await agent.respond([{ role: 'user', content: 'Hi' }], d => deltas.push(d));
+  
+  assert.equal(text, 'Streamed.');
+  assert.deepEqual(deltas, ['Streamed.']);
+  assert.equal(agent.provider.calls[0].systemPrompt, 'You are Ada.\n\n');
+});
+
+test('reflection keeps the memories found in the reply', async () => {
+  const agent = new Agent({ name: 'Ada', provider: 'mock', brain: {} });
+  agent.provider = new FakeProvider(['```json\n[{"key": "bo", "value": "Bo was kind."}]\n```']);
+  
+  const { memories } = await agent.reflect([{ speakerIndex: 1, speaker: 'Bo', content: 'Hi' }], 0);
+  
+  assert.deepEqual(memories.map(m => m.value), ['Bo was kind.']);
+  assert.ok(agent.brain.conversationMemories.some(m => m.value === 'Bo was kind.'));
+});
+
+test('memories are capped at the most recent 50', () => {
+  const agent = new Agent({ name: 'Ada', provider: 'mock' });
+  for (let i = 0; i < 60; i++) agent.addMemory(`m${i}`, `memory ${i}`);
+  
+  assert.equal(agent.brain.conversationMemories.length, 50);
+  assert.equal(agent.brain.conversationMemories[0].key, 'm10');
+});
@@ -0,0 +1,266 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Arena, Agent, BrainStore, Experiment, TokenBucket, createProvider, validateExperiment } = require('../arena');
+const { FakeProvider, silenceLogs, memoryDatabase, useProviders, battleConfig } = require('./helpers');
+
+silenceLogs();
+
+// A spectator socket that keeps what it is sent
+function watch(battle, events) {
+  battle.spectators.add({ readyState: 1, send: msg => events.push(JSON.parse(msg)) });
+}
+
+async function queuedBattles(arena, count) {
+  const battles = [];
+  for (let i = 0; i < count; i++) {
+    const battle = await arena.createBattle(battleConfig({ id: i + 1, maxTurns: 2 }));
+    useProviders(battle, new FakeProvider([`Reply from ${i + 1}.`]));
+    battles.push(battle);
+  }
+  return battles;
+}
+
+test('battles beyond the limit wait their turn and hear their place in line', async () => {
+  const arena = new Arena(null, { maxConcurrent: 1 });
+  const [a, b, c] = await queuedBattles(arena, 3);
+  const events = [];
+  const running = [];
+  [a, b, c].forEach(battle => watch(battle, events));
+  watch(c, running);
+  
+  assert.equal(arena.schedule(a), 0);
+  assert.equal(arena.schedule(b), 1);
+  assert.equal(arena.schedule(c), 2);
+  assert.equal(b.status, 'queued');
+  assert.equal(arena.queuePosition(c.id), 2);
+  
+  await Promise.all([a.ended, b.ended, c.ended]);
+  
+  assert.deepEqual([a, b, c].map(battle => battle.status), ['complete', 'complete', 'complete']);
+  assert.deepEqual(events.filter(e => e.type === 'battle_start').map(e => e.battleId), [1, 2, 3]);
+  assert.deepEqual(events.filter(e => e.type === 'queued' && e.battleId === 3).map(e => e.position), [2, 1]);
+  assert.equal(arena.queue.length, 0);
+});
+
+test('only a running battle can be paused', async () => {
+  const arena = new Arena(null, { maxConcurrent: 1 });
+  const [a, b] = await queuedBattles(arena, 2);
+  const events = [];
+  watch(b, events);
+  
+  arena.schedule(a);
+  arena.schedule(b);
+  b.pause();
+  assert.equal(b.status, 'queued');
+  
+  await Promise.all([a.ended, b.ended]);
+  b.pause();
+  assert.equal(b.status, 'complete');
+  assert.ok(!events.some(e => e.type === 'paused'));
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) await wait(5);
+  assert.ok(condition(), 'timed out');
+}
+
+// Takes `ms` over every reply
+function slowProvider(ms) {
+  return {
+    async chat() {
+      await wait(ms);
+      return { text: 'Slow.', usage: { inputTokens: 1, outputTokens: 1 } };
+    },
+    async chatStream(messages, systemPrompt, onDelta) {
+      const response = await this.chat();
+      onDelta(response.text);
+      return response;
+    }
+  };
+}
+
+test('resuming and retrying wait for a slot like starting does', async () => {
+  const arena = new Arena(null, { maxConcurrent: 1 });
+  const [a, b, c] = await queuedBattles(arena, 3);
+  useProviders(b, slowProvider(20));
+  useProviders(c, new FakeProvider([new Error('Bad request'), 'Made it.']));
+  
+  arena.schedule(c);
+  await c.ended;
+  assert.equal(c.status, 'errored');
+  
+  arena.schedule(a);
+  a.pause();
+  arena.schedule(b);
+  await until(() => b.status === 'running');
+  
+  assert.equal(arena.resumeBattle(a), 1);
+  assert.equal(arena.retryBattle(c), 2);
+  assert.equal(arena.resumeBattle(a), 1);
+  assert.deepEqual([a.status, c.status], ['paused', 'errored']);
+  assert.equal(arena.resumeBattle(b), null);
+  
+  await until(() => [a, b, c].every(battle => battle.status === 'complete'));
+  assert.equal(arena.queue.length, 0);
+});
+
+test('a battle paused mid-turn keeps its slot until the call comes back', async () => {
+  const arena = new Arena(null, { maxConcurrent: 1 });
+  const [a, b] = await queuedBattles(arena, 2);
+  useProviders(a, slowProvider(40));
+  
+  arena.schedule(a);
+  arena.schedule(b);
+  await wait(10);
+  a.pause();
+  await wait(5);
+  assert.equal(b.status, 'queued');
+  
+  await until(() => b.status !== 'queued');
+  assert.equal(a.turn, 1);
+  
+  arena.resumeBattle(a);
+  await until(() => a.status === 'complete' && b.status === 'complete');
+  assert.equal(a.history.length, 2);
+});
+
+test('private narration only reaches the sockets of the battle owner', async () => {
+  const arena = new Arena(null);
+  const battle = await arena.createBattle(battleConfig({ id: 1, userId: 7 }));
+  const owner = [], other = [];
+  const socket = events => ({ readyState: 1, send: msg => events.push(JSON.parse(msg)) });
+  battle.inject({ content: 'Only Bo hears this.', targets: [1], delivery: 'immediate' });
+  
+  arena.subscribe(socket(owner), battle.id, 7);
+  arena.subscribe(socket(other), battle.id, 8);
+  battle.inject({ content: 'Psst.', targets: [0], delivery: 'immediate' });
+  battle.inject({ content: 'Everyone hears this.', delivery: 'immediate' });
+  
+  const narration = events => [
+    ...events.find(e => e.type === 'snapshot').battle.history.map(t => t.content),
+    ...events.filter(e => e.type === 'narrator').map(e => e.content)
+  ];
+  assert.deepEqual(narration(owner), ['Only Bo hears this.', 'Psst.', 'Everyone hears this.']);
+  assert.deepEqual(narration(other), ['Everyone hears this.']);
+});
+
+test('without a limit every battle starts straight away', async () => {
+  const arena = new Arena(null);
+  const battles = await queuedBattles(arena, 3);
+  
+  assert.deepEqual(battles.map(battle => arena.schedule(battle)), [0, 0, 0]);
+  assert.equal(arena.runningCount(), 3);
+  await Promise.all(battles.map(battle => battle.ended));
+});
+
+test('the token bucket lets a burst through, then spaces requests out', async () => {
+  const bucket = new TokenBucket({ requestsPerMinute: 3000, burst: 2 }); // One every 20ms
+  const started = Date.now();
+  const times = [];
+  
+  await Promise.all([1, 2, 3, 4].map(() => bucket.take().then(() => times.push(Date.now() - started))));
+  
+  assert.ok(times[1] < 15, `burst waited ${times[1]}ms`);
+  assert.ok(times[3] >= 35, `four requests took only ${times[3]}ms`);
+});
+
+test('providers on the same endpoint share one rate limit', async (t) => {
+  const fetched = [];
+  t.mock.method(global, 'fetch', async url => {
+    fetched.push(url);
+    return new Response(JSON.stringify({ message: { content: 'Hi' } }));
+  });
+  const ollama = endpoint => createProvider({ provider: 'ollama', endpoint, rateLimit: { requestsPerMinute: 600 } });
+  
+  const first = ollama('http://one.test').chat([], null);
+  const second = ollama('http://one.test').chat([], null);
+  const elsewhere = ollama('http://two.test').chat([], null);
+  await Promise.all([first, elsewhere]);
+  
+  assert.deepEqual(fetched, ['http://one.test/api/chat', 'http://two.test/api/chat']);
+  await second;
+  assert.equal(fetched.length, 3);
+});
+
+test('cassettes stay inside data/cassettes', () => {
+  const replay = name => createProvider({ provider: 'replay', mode: 'replay', cassette: name });
+  
+  assert.equal(replay('tea').file, path.resolve('data', 'cassettes', 'tea.json'));
+  assert.equal(replay('runs/tea.json').file, path.resolve('data', 'cassettes', 'runs', 'tea.json'));
+  for (const name of ['../server.js', 'runs/../../config.json', '/etc/passwd', path.resolve('config.json')]) {
+    assert.throws(() => replay(name), /inside data\/cassettes/);
+  }
+});
+
+test('experiment grids are counted before they are expanded', () => {
+  const base = battleConfig();
+  const grid = Object.fromEntries(Array.from({ length: 30 }, (_, i) => [`agents.0.p${i}`, [1, 2]]));
+  
+  assert.equal(validateExperiment({ base, grid }), `${2 ** 30} cells x 1 repetitions is more than 1000 runs`);
+  assert.equal(validateExperiment({ base, grid: { maxTurns: [2, 4] }, repetitions: 3 }), null);
+});
+
+test('experiments started in the same millisecond get their own ids', () => {
+  const arena = new Arena(null);
+  const ids = Array.from({ length: 3 }, () => new Experiment({ base: battleConfig() }, arena).id);
+  assert.equal(new Set(ids).size, 3);
+});
+
+test('stored brains keep their latest versions and each owner their latest brains', () => {
+  const store = new BrainStore(memoryDatabase());
+  
+  const { brainId } = store.create('Ada', { n: 0 }, { userId: 1 });
+  for (let n = 1; n < 60; n++) store.addVersion(brainId, { n });
+  const versions = store.listVersions(brainId).map(v => v.version);
+  assert.equal(versions.length, 50);
+  assert.deepEqual([versions.at(-1), versions[0]], [11, 60]);
+  
+  for (let i = 0; i < 100; i++) store.create(`Bo ${i}`, {}, { userId: 2 });
+  store.create('Cy', {}, { userId: 1 });
+  assert.equal(store.list(2).length, 100);
+  assert.equal(store.list(1).length, 2);
+  
+  store.create('Bo 100', {}, { userId: 2 });
+  assert.equal(store.list(2).length, 100);
+  assert.ok(!store.list(2).some(b => b.name === 'Bo 0'));
+});
+
+test('stored brains without an owner never load', async () => {
+  const store = new BrainStore(memoryDatabase());
+  const { brainId } = store.create('Ada', { memories: ['Tea.'] });
+  assert.ok(!store.owns(brainId, null));
+  
+  const agent = new Agent({ name: 'Ada', provider: 'mock', brainId });
+  await agent.loadBrain(store, null);
+  assert.equal(agent.brain, null);
+  assert.equal(agent.brainId, null);
+});
+
+test('a paused experiment battle frees its worker', async () => {
+  const arena = new Arena(null);
+  let paused = null;
+  const broadcast = arena.broadcast.bind(arena);
+  arena.broadcast = event => {
+    broadcast(event);
+    if (event.type === 'turn_end' && !paused) {
+      paused = arena.getBattle(event.battleId);
+      paused.pause();
+    }
+  };
+  
+  const experiment = arena.startExperiment({ base: battleConfig(), repetitions: 2 }, {
+    resolveProvider: provider => ({ provider }),
+    defaultModel: 'mock'
+  });
+  await experiment.done;
+  
+  assert.deepEqual(experiment.runs.map(r => r.status), ['paused', 'complete']);
+  assert.notEqual(experiment.runs[0].battleId, experiment.runs[1].battleId);
+  
+  paused.resume();
+  await paused.ended;
+  assert.equal(paused.status, 'complete');
+});
@@ -0,0 +1,174 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Arena } = require('../arena');
+const { FakeProvider, silenceLogs, memoryDatabase, useProviders, battleConfig } = require('./helpers');
+
+silenceLogs();
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A battle whose events land in `events`; `onEvent` sees each one as it happens
+async function setup(config = {}, { db = null, onEvent = () => {} } = {}) {
+  const arena = new Arena(db);
+  const battle = await arena.createBattle(battleConfig(config));
+  const events = [];
+  battle.broadcast = event => {
+    events.push(event);
+    onEvent(event, battle);
+  };
+  return { arena, battle, events };
+}
+
+test('the first speaker opens with the prompt and the names of the others', async () => {
+  const { battle } = await setup({ maxTurns: 1 });
+  const ada = new FakeProvider(['Hi Bo.']);
+  useProviders(battle, ada);
+  
+  battle.start();
+  await battle.ended;
+  
+  assert.deepEqual(ada.calls[0].messages, [
+    { role: 'user', content: 'Discuss tea.\n\nYou are starting. Other participant(s): Bo' }
+  ]);
+});
+
+test('anonymous battles open with the bare prompt, and a directive wins over it', async () => {
+  const { battle } = await setup({
+    anonymousMode: true,
+    agents: [{ name: 'Ada', provider: 'mock', prompt: 'Sell Bo a teapot.' }, { name: 'Bo', provider: 'mock' }]
+  });
+  assert.equal(battle.buildOpening(), 'Sell Bo a teapot.');
+});
+
+test('agents take turns and each sees the other as the user', async () => {
+  const { battle } = await setup();
+  const ada = new FakeProvider(['Ada 1', 'Ada 2']);
+  const bo = new FakeProvider(['Bo 1', 'Bo 2']);
+  useProviders(battle, ada, bo);
+  
+  battle.start();
+  await battle.ended;
+  
+  assert.equal(battle.status, 'complete');
+  assert.equal(battle.endReason, 'max_turns');
+  assert.deepEqual(battle.history.map(t => t.content), ['Ada 1', 'Bo 1', 'Ada 2', 'Bo 2']);
+  assert.deepEqual(bo.calls[0].messages, [{ role: 'user', content: 'Ada 1' }]);
+  assert.deepEqual(ada.calls[1].messages.slice(1), [
+    { role: 'assistant', content: 'Ada 1' },
+    { role: 'user', content: 'Bo 1' }
+  ]);
+});
+
+test('maxWords is prepended to the message being answered', async () => {
+  const { battle } = await setup({ maxTurns: 2, maxWords: 50 });
+  const bo = new FakeProvider(['Short.']);
+  useProviders(battle, new FakeProvider(['Ada 1']), bo);
+  
+  battle.start();
+  await battle.ended;
+  
+  assert.equal(bo.calls[0].messages.at(-1).content, '[50 words max]\n\nAda 1');
+});
+
+test('pause holds the battle and resume picks up at the next turn', async () => {
+  const { battle } = await setup({}, {
+    onEvent: (event, b) => { if (event.type === 'turn_end' && event.turn === 0) b.pause(); }
+  });
+  const bo = new FakeProvider(['Bo 1', 'Bo 2']);
+  useProviders(battle, new FakeProvider(['Ada 1', 'Ada 2']), bo);
+  
+  battle.start();
+  await wait(20);
+  assert.equal(battle.status, 'paused');
+  assert.equal(battle.turn, 1);
+  assert.equal(bo.calls.length, 0);
+  
+  battle.resume();
+  await battle.ended;
+  
+  assert.deepEqual(battle.history.map(t => t.turn), [0, 1, 2, 3]);
+  assert.deepEqual(battle.history.map(t => t.speaker), ['Ada', 'Bo', 'Ada', 'Bo']);
+  assert.deepEqual(bo.calls[0].messages, [{ role: 'user', content: 'Ada 1' }]);
+});
+
+test('a stop condition ends the battle early and is recorded', async () => {
+  const { battle } = await setup({ stopConditions: [{ type: 'sentinel' }] });
+  useProviders(battle, new FakeProvider(['Tea is good.']), new FakeProvider(['Agreed. [END]']));
+  
+  battle.start();
+  await battle.ended;
+  
+  assert.equal(battle.turn, 2);
+  assert.equal(battle.endReason, 'sentinel');
+  assert.ok(battle.agents[0].buildSystemPrompt().includes('[END]'));
+});
+
+test('transient failures are retried before the turn counts', async () => {
+  const overloaded = Object.assign(new Error('Overloaded'), { status: 529 });
+  const { battle, events } = await setup({ maxTurns: 1 });
+  useProviders(battle, new FakeProvider([overloaded, 'Made it.']));
+  
+  battle.start();
+  await battle.ended;
+  
+  assert.equal(battle.status, 'complete');
+  assert.equal(battle.history[0].content, 'Made it.');
+  assert.equal(events.filter(e => e.type === 'turn_retry').length, 1);
+});
+
+test('a failed turn marks the battle errored and retry() carries on', async () => {
+  const { battle } = await setup({ maxTurns: 2 });
+  const ada = new FakeProvider([new Error('Bad request'), 'Ada 1']);
+  useProviders(battle, ada, new FakeProvider(['Bo 1']));
+  
+  battle.start();
+  await battle.ended;
+  assert.equal(battle.status, 'errored');
+  assert.equal(battle.error.message, 'Bad request');
+  assert.equal(battle.turn, 0);
+  
+  assert.ok(battle.retry());
+  await battle.ended;
+  
+  assert.equal(battle.status, 'complete');
+  assert.deepEqual(battle.history.map(t => t.content), ['Ada 1', 'Bo 1']);
+});
+
+test('narrator events reach the next speaker', async () => {
+  const { battle } = await setup({ maxTurns: 2 }, {
+    onEvent: (event, b) => {
+      if (event.type === 'turn_end' && event.turn === 0) b.inject({ content: 'The kettle boils.' });
+    }
+  });
+  const bo = new FakeProvider(['Bo 1']);
+  useProviders(battle, new FakeProvider(['Ada 1']), bo);
+  
+  battle.start();
+  await battle.ended;
+  
+  assert.equal(bo.calls[0].messages.at(-1).content, 'Ada 1\n\n[Narrator] The kettle boils.');
+});
+
+test('turns are stored and unfinished battles come back paused', async () => {
+  const db = memoryDatabase();
+  const { battle } = await setup({}, {
+    db,
+    onEvent: (event, b) => { if (event.type === 'turn_end' && event.turn === 1) b.pause(); }
+  });
+  useProviders(battle, new FakeProvider(['Ada 1']), new FakeProvider(['Bo 1']));
+  
+  battle.start();
+  await wait(20);
+  
+  const stored = new Arena(db).getBattleHistory(battle.id);
+  assert.equal(stored.status, 'paused');
+  assert.deepEqual(stored.turns.map(t => t.content), ['Ada 1', 'Bo 1']);
+  
+  const arena = new Arena(db);
+  assert.equal(await arena.restoreBattles(provider => ({ provider }), {}), 1);
+  const restored = arena.getBattle(battle.id);
+  assert.equal(restored.status, 'paused');
+  assert.equal(restored.turn, 2);
+  assert.equal(restored.currentSpeaker, 0);
+  assert.deepEqual(restored.agents.map(a => a.name), ['Ada', 'Bo']);
+});
@@ -0,0 +1,68 @@
+/**
+ * Shared fixtures: a scripted provider, an in-memory database and quiet logs
+ */
+
+const { setupDatabase } = require('../arena');
+
+// Stands in for a model. Replies come from `replies` in order, the last one
+// repeating; an Error in the list is thrown instead. Every call is kept in `calls`.
+class FakeProvider {
+  constructor(replies = ['Hello.']) {
+    this.replies = replies;
+    this.calls = [];
+  }
+
+  next(messages, systemPrompt) {
+    this.calls.push({ messages: structuredClone(messages), systemPrompt });
+    const reply = this.replies[Math.min(this.calls.length - 1, this.replies.length - 1)];
+    if (reply instanceof Error) throw reply;
+    return { text: reply, usage: { inputTokens: 10, outputTokens: 5 } };
+  }
+
+  async chat(messages, systemPrompt) {
+    return this.next(messages, systemPrompt);
+  }
+
+  async chatStream(messages, systemPrompt, onDelta) {
+    const response = this.next(messages, systemPrompt);
+    onDelta(response.text);
+    return response;
+  }
+}
+
+// The engine logs every turn in full; keep test output readable
+function silenceLogs() {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+function memoryDatabase() {
+  return setupDatabase(':memory:');
+}
+
+// Give every agent in `battle` the same provider, or one each
+function useProviders(battle, ...providers) {
+  battle.agents.forEach((agent, i) => { agent.provider = providers[i % providers.length]; });
+}
+
+// Battle config with two agents and no waiting between turns
+function battleConfig(overrides = {}) {
+  return {
+    id: Date.now(),
+    agents: [{ name: 'Ada', provider: 'mock' }, { name: 'Bo', provider: 'mock' }],
+    prompt: 'Discuss tea.',
+    maxTurns: 4,
+    turnDelay: 1,
+    retryDelay: 1,
+    reflect: false,
+    ...overrides
+  };
+}
+
+module.exports = {
+  FakeProvider,
+  silenceLogs,
+  memoryDatabase,
+  useProviders,
+  battleConfig
+};
@@ -0,0 +1,479 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { silenceLogs } = require('./helpers');
+
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+silenceLogs();
+
+const { app, ready } = require('../server');
+
+let server, base, arena;
+
+before(async () => {
+  arena = await ready;
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function api(method, path, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(base + path, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+// Mock agents reply instantly, so a short battle finishes in a few milliseconds
+const mockBattle = {
+  agents: [{ name: 'Ada', provider: 'mock', model: 'mock' }, { name: 'Bo', provider: 'mock', model: 'mock' }],
+  prompt: 'Discuss tea.',
+  maxTurns: 2,
+  turnDelay: 1,
+  reflect: false
+};
+
+async function runBattle(token) {
+  const { body } = await api('POST', '/api/battle', { token, body: mockBattle });
+  for (let i = 0; i < 100; i++) {
+    const { body: battle } = await api('GET', `/api/battle/${body.battleId}`);
+    if (battle.status === 'complete') return battle;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Battle ${body.battleId} did not finish`);
+}
+
+test('POST /api/battle rejects requests that cannot run', async () => {
+  const one = await api('POST', '/api/battle', { body: { ...mockBattle, agents: mockBattle.agents.slice(0, 1) } });
+  assert.equal(one.status, 400);
+  assert.equal(one.body.error, 'Need at least 2 agents');
+  
+  const policy = await api('POST', '/api/battle', { body: { ...mockBattle, turnPolicy: 'shouting' } });
+  assert.equal(policy.status, 400);
+  assert.equal(policy.body.error, 'Unknown turn policy: shouting');
+  
+  const inherited = await api('POST', '/api/battle', { body: { ...mockBattle, turnPolicy: 'constructor' } });
+  assert.equal(inherited.status, 400);
+  
+  const stop = await api('POST', '/api/battle', { body: { ...mockBattle, stopConditions: [{ type: 'match' }] } });
+  assert.equal(stop.status, 400);
+  
+  for (const retries of [{ maxRetries: 'abc' }, { maxRetries: -1 }, { maxRetries: 1000 }, { retryDelay: 'abc' }, { retryDelay: 1.5 }]) {
+    const { status } = await api('POST', '/api/battle', { body: { ...mockBattle, ...retries } });
+    assert.equal(status, 400, JSON.stringify(retries));
+  }
+  
+  for (const condition of [{ type: 'toString' }, { type: 'match', pattern: '(a+)+$' }, { type: 'match', pattern: 'a'.repeat(201) }, { type: 'match', keywords: [42] }]) {
+    const { status } = await api('POST', '/api/battle', { body: { ...mockBattle, stopConditions: [condition] } });
+    assert.equal(status, 400, JSON.stringify(condition));
+  }
+});
+
+test('POST /api/battle runs a battle to completion', async () => {
+  const battle = await runBattle();
+  
+  assert.equal(battle.endReason, 'max_turns');
+  assert.deepEqual(battle.history.map(t => t.speaker), ['Ada', 'Bo']);
+  assert.deepEqual(battle.history.map(t => t.content), ['Reply 1 from mock.', 'Reply 1 from mock.']);
+  assert.ok(battle.usage.inputTokens > 0);
+});
+
+test('/health sums the usage of every battle, overhead included', async () => {
+  const battle = await runBattle();
+  arena.getBattle(battle.id).addOverhead('mock', { inputTokens: 5, outputTokens: 3 });
+  
+  const { byModel, ...totals } = arena.getUsage();
+  const { body } = await api('GET', '/health');
+  assert.deepEqual(body.usage, totals);
+  assert.ok(body.usage.inputTokens >= battle.usage.inputTokens + 5);
+});
+
+test('GET /api/battle/:id is 404 for unknown battles', async () => {
+  const { status } = await api('GET', '/api/battle/1');
+  assert.equal(status, 404);
+});
+
+test('only a running battle can be paused', async () => {
+  const battle = await runBattle();
+  const { status, body } = await api('POST', `/api/battle/${battle.id}/pause`);
+  assert.equal(status, 409);
+  assert.equal(body.error, 'Battle is complete, not running');
+  assert.equal(arena.getBattle(battle.id).status, 'complete');
+});
+
+// Users normally arrive through GitHub OAuth; returns a token for each
+function users() {
+  const addUser = arena.db.prepare('INSERT OR IGNORE INTO users (id, github_id, username) VALUES (?, ?, ?)');
+  addUser.run(1, 101, 'ada');
+  addUser.run(2, 102, 'bo');
+  return {
+    ada: jwt.sign({ id: 1, username: 'ada' }, 'test-secret'),
+    bo: jwt.sign({ id: 2, username: 'bo' }, 'test-secret')
+  };
+}
+
+test('presets need a login and belong to their user', async () => {
+  assert.equal((await api('GET', '/api/presets')).status, 401);
+  
+  const { ada, bo } = users();
+  
+  const saved = await api('POST', '/api/presets', { token: ada, body: { name: 'Skeptic', soul: '# SKEPTIC', brain: { beliefs: 'none' } } });
+  assert.ok(saved.body.success);
+  
+  const mine = await api('GET', '/api/presets', { token: ada });
+  assert.deepEqual(mine.body.map(p => [p.name, p.soul, p.brain]), [['Skeptic', '# SKEPTIC', { beliefs: 'none' }]]);
+  assert.deepEqual((await api('GET', '/api/presets', { token: bo })).body, []);
+  
+  await api('DELETE', `/api/presets/${saved.body.id}`, { token: bo });
+  assert.equal((await api('GET', '/api/presets', { token: ada })).body.length, 1);
+  
+  await api('DELETE', `/api/presets/${saved.body.id}`, { token: ada });
+  assert.deepEqual((await api('GET', '/api/presets', { token: ada })).body, []);
+});
+
+test('publishing copies the transcript from the battle record, not the client', async () => {
+  const { ada } = users();
+  const battle = await runBattle(ada);
+  
+  assert.equal((await api('POST', '/api/archive/publish', { body: { battleId: battle.id } })).status, 401);
+  
+  const published = await api('POST', '/api/archive/publish', {
+    token: ada,
+    body: { battleId: battle.id, transcript: [{ speaker: 'Ada', content: 'Fabricated.' }], agent1: 'Someone', prompt: 'Lies.' }
+  });
+  assert.ok(published.body.verified);
+  
+  const { body } = await api('GET', `/api/archive/${published.body.id}`);
+  assert.equal(body.title, 'Ada vs Bo');
+  assert.equal(body.prompt, 'Discuss tea.');
+  assert.equal(body.turns, 2);
+  assert.equal(body.end_reason, 'max_turns');
+  assert.equal(body.battle_id, battle.id);
+  assert.equal(body.verified, 1);
+  assert.deepEqual(body.agents, [{ name: 'Ada', model: 'mock' }, { name: 'Bo', model: 'mock' }]);
+  assert.deepEqual(body.transcript.map(t => t.content), battle.history.map(t => t.content));
+  assert.ok(body.started_at && body.ended_at);
+  assert.equal(body.views, 0);
+  
+  const list = await api('GET', '/api/archive/published');
+  assert.ok(list.body.entries.some(b => b.id === published.body.id));
+});
+
+test('only the owner publishes a battle, and battles started without a login have none', async () => {
+  const { ada, bo } = users();
+  const { body: started } = await api('POST', '/api/battle', { token: ada, body: mockBattle });
+  await arena.getBattle(started.battleId).ended;
+  
+  assert.equal((await api('POST', '/api/archive/publish', { token: bo, body: { battleId: started.battleId } })).status, 403);
+  assert.equal((await api('POST', '/api/archive/publish', { token: ada, body: { battleId: (await runBattle()).id } })).status, 403);
+  
+  // Transcripts from elsewhere are only taken by the import endpoint
+  const transcript = [{ turn: 0, speaker: 'Ada', content: 'Hello from elsewhere.' }];
+  assert.equal((await api('POST', '/api/archive/publish', { token: bo, body: { imported: true, transcript } })).status, 404);
+  assert.equal((await api('POST', '/api/archive/publish', { token: bo, body: { imported: true, battleId: started.battleId, transcript } })).status, 403);
+});
+
+test('only the owner forks a battle', async () => {
+  const { ada, bo } = users();
+  const { body: started } = await api('POST', '/api/battle', { token: ada, body: mockBattle });
+  await arena.getBattle(started.battleId).ended;
+  
+  assert.equal((await api('POST', `/api/battle/${started.battleId}/fork`, { token: bo, body: { turn: 1 } })).status, 403);
+  assert.equal((await api('POST', `/api/battle/${started.battleId}/fork`, { body: { turn: 1 } })).status, 403);
+  assert.equal((await api('POST', `/api/battle/${(await runBattle()).id}/fork`, { token: ada, body: { turn: 1 } })).status, 403);
+  
+  const fork = await api('POST', `/api/battle/${started.battleId}/fork`, { token: ada, body: { turn: 1, content: 'Coffee, then.' } });
+  assert.equal(fork.status, 200);
+  assert.deepEqual(fork.body.fork, { parentId: started.battleId, turn: 1, edited: true });
+});
+
+test('stored brains belong to the owner of the battle that made them', async () => {
+  const { ada, bo } = users();
+  const { body: started } = await api('POST', '/api/battle', { token: ada, body: mockBattle });
+  await arena.getBattle(started.battleId).ended;
+  const { brainId } = arena.getBattle(started.battleId).brainRefs[0];
+  
+  assert.equal((await api('GET', '/api/brains/stored')).status, 401);
+  assert.ok((await api('GET', '/api/brains/stored', { token: ada })).body.some(b => b.id === brainId));
+  assert.ok(!(await api('GET', '/api/brains/stored', { token: bo })).body.some(b => b.id === brainId));
+  
+  for (const path of [`/api/brains/${brainId}/versions`, `/api/brains/${brainId}/versions/1`, `/api/brains/${brainId}/diff?from=1`, `/api/battle/${started.battleId}/brain/0`]) {
+    assert.equal((await api('GET', path, { token: bo })).status, 404, path);
+    assert.equal((await api('GET', path, { token: ada })).status, 200, path);
+  }
+  assert.equal((await api('POST', `/api/brains/${brainId}/rollback`, { token: bo, body: { version: 1 } })).status, 404);
+  
+  // Someone else's brain id is ignored, and the agent starts from a brain of its own
+  const borrowed = { ...mockBattle, agents: [{ ...mockBattle.agents[0], brainId }, mockBattle.agents[1]] };
+  const { body: other } = await api('POST', '/api/battle', { token: bo, body: borrowed });
+  await arena.getBattle(other.battleId).ended;
+  assert.notEqual(arena.getBattle(other.battleId).brainRefs[0].brainId, brainId);
+  assert.equal(arena.brains.listVersions(brainId).length, 1);
+  
+  // Without a login the brain stays with the battle and out of the store
+  const anonymous = await runBattle();
+  assert.ok(arena.getBattle(anonymous.id).brainRefs.every(ref => ref.brainId === null));
+});
+
+test('scenarios are private to their owner until made public', async () => {
+  const { ada, bo } = users();
+  
+  const invalid = await api('POST', '/api/scenarios', { token: ada, body: { name: 'Tea', config: { agents: [] } } });
+  assert.equal(invalid.status, 400);
+  
+  const saved = await api('POST', '/api/scenarios', {
+    token: ada,
+    body: { name: 'Tea', config: { ...mockBattle, agents: mockBattle.agents.map(a => ({ ...a, prompt: 'Secret.', extra: 1 })) } }
+  });
+  const id = saved.body.id;
+  
+  const mine = await api('GET', `/api/scenarios/${id}`, { token: ada });
+  assert.equal(mine.body.visibility, 'private');
+  assert.deepEqual(mine.body.config.agents[0], { name: 'Ada', model: 'mock', provider: 'mock', prompt: 'Secret.' });
+  assert.equal(mine.body.config.maxTurns, 2);
+  
+  assert.equal((await api('GET', `/api/scenarios/${id}`, { token: bo })).status, 404);
+  assert.equal((await api('PUT', `/api/scenarios/${id}`, { token: bo, body: { visibility: 'public' } })).status, 404);
+  assert.equal((await api('DELETE', `/api/scenarios/${id}`, { token: bo })).status, 404);
+  
+  await api('PUT', `/api/scenarios/${id}`, { token: ada, body: { visibility: 'public', description: 'A classic' } });
+  const listed = (await api('GET', '/api/scenarios')).body.find(s => s.id === id);
+  assert.deepEqual([listed.name, listed.description, listed.username, listed.agents, listed.mine], ['Tea', 'A classic', 'ada', ['Ada', 'Bo'], false]);
+  assert.equal(listed.config, undefined);
+  
+  await api('DELETE', `/api/scenarios/${id}`, { token: ada });
+  assert.equal((await api('GET', `/api/scenarios/${id}`, { token: ada })).status, 404);
+});
+
+test('a battle launched from a scenario runs its config with overrides', async () => {
+  const { ada } = users();
+  const { body: saved } = await api('POST', '/api/scenarios', { token: ada, body: { name: 'Quick', config: mockBattle } });
+  
+  assert.equal((await api('POST', `/api/scenarios/${saved.id}/battle`)).status, 404); // Private, and nobody is logged in
+  
+  const { body } = await api('POST', `/api/scenarios/${saved.id}/battle`, { token: ada, body: { maxTurns: 1 } });
+  assert.equal(body.scenarioId, saved.id);
+  
+  await arena.getBattle(body.battleId).ended;
+  const { body: battle } = await api('GET', `/api/battle/${body.battleId}`);
+  assert.equal(battle.maxTurns, 1);
+  assert.deepEqual(battle.history.map(t => t.speaker), ['Ada']);
+});
+
+test('the archive is searchable, filterable by tag and model, and pages with a cursor', async () => {
+  const { ada } = users();
+  const publish = async (title, contents, tags) => (await api('POST', '/api/archive/import', {
+    token: ada,
+    body: { title, tags, content: contents.map(content => JSON.stringify({ speaker: 'Ada', content })).join('\n') }
+  })).body.id;
+  
+  const kettle = await publish('Kettles', ['The kettle whistles.', 'Steam rises.', 'Tea is poured.'], 'Tea, Kitchen ');
+  const teapot = await publish('Teapots', ['A teapot is not a kettle.'], ['tea']);
+  const verified = (await api('POST', '/api/archive/publish', { token: ada, body: { battleId: (await runBattle(ada)).id, tags: 'tea' } })).body.id;
+  
+  const ids = async query => (await api('GET', `/api/archive/published?${query}`)).body.entries.map(e => e.id);
+  
+  assert.deepEqual(await ids('q=kettle'), [teapot, kettle]);
+  assert.deepEqual(await ids('q=whist'), [kettle]); // Prefix of the last word
+  assert.deepEqual(await ids(`q=${encodeURIComponent('"steam: (rises')}`), [kettle]); // FTS syntax is taken as plain words
+  assert.deepEqual(await ids('tags=kitchen'), [kettle]);
+  assert.deepEqual(await ids('tags=TEA,kitchen'), [kettle]);
+  assert.deepEqual(await ids('model=mock&tags=tea'), [verified]);
+  assert.deepEqual((await ids('tags=tea&sort=longest')), [kettle, verified, teapot]);
+  
+  const { body: hit } = await api('GET', '/api/archive/published?q=steam');
+  assert.equal(hit.entries[0].snippet.includes('[[Steam]]'), true);
+  assert.deepEqual(hit.entries[0].tags, ['tea', 'kitchen']);
+  assert.equal(hit.entries[0].transcript, undefined);
+  
+  const first = await api('GET', '/api/archive/published?tags=tea&limit=2');
+  assert.deepEqual(first.body.entries.map(e => e.id), [verified, teapot]);
+  const second = await api('GET', `/api/archive/published?tags=tea&limit=2&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(second.body.entries.map(e => e.id), [kettle]);
+  assert.equal(second.body.nextCursor, null);
+  
+  assert.equal((await api('GET', '/api/archive/published?sort=loudest')).status, 400);
+  
+  const { body: facets } = await api('GET', '/api/archive/facets');
+  assert.deepEqual(facets.tags.find(t => t.tag === 'tea'), { tag: 'tea', count: 3 });
+  assert.ok(facets.models.some(m => m.model === 'mock'));
+});
+
+async function download(path, token) {
+  const res = await fetch(base + path, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  return { status: res.status, type: res.headers.get('content-type'), disposition: res.headers.get('content-disposition'), text: await res.text() };
+}
+
+test('battles export in every format, with the setup only for their owner', async () => {
+  const { ada, bo } = users();
+  const secret = {
+    ...mockBattle,
+    agents: [{ ...mockBattle.agents[0], soul: '# SOUL <b>', prompt: 'Win at all costs.' }, mockBattle.agents[1]],
+    judge: { model: 'mock', provider: 'mock' }
+  };
+  const { body: started } = await api('POST', '/api/battle', { token: ada, body: secret });
+  await arena.getBattle(started.battleId).ended;
+  const path = `/api/battle/${started.battleId}/export`;
+  
+  const markdown = await download(path, ada);
+  assert.match(markdown.type, /text\/markdown/);
+  assert.match(markdown.disposition, new RegExp(`battle-${started.battleId}\\.md`));
+  assert.ok(markdown.text.includes('### Ada (Turn 1)'));
+  assert.ok(markdown.text.includes('**Directive:** Win at all costs.'));
+  
+  const json = JSON.parse((await download(`${path}?format=json`, ada)).text);
+  assert.equal(json.setup.agents[0].soul, '# SOUL <b>');
+  assert.equal(json.setup.settings.judge.model, 'mock');
+  assert.ok(!JSON.stringify(json.setup).includes('apiKey'));
+  
+  const other = JSON.parse((await download(`${path}?format=json`, bo)).text);
+  assert.equal(other.setup, undefined);
+  assert.deepEqual(other.agents, [{ name: 'Ada', model: 'mock' }, { name: 'Bo', model: 'mock' }]);
+  assert.ok(!(await download(path)).text.includes('Win at all costs.'));
+  
+  const lines = (await download(`${path}?format=jsonl`)).text.trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines.map(l => [l.turn, l.speaker, l.model]), [[0, 'Ada', 'mock'], [1, 'Bo', 'mock']]);
+  assert.ok(lines.every(l => !Number.isNaN(Date.parse(l.timestamp))));
+  
+  const csv = (await download(`${path}?format=csv`)).text.trim().split('\n');
+  assert.equal(csv[0], 'battle_id,turn,role,speaker,speaker_index,model,timestamp,words,input_tokens,output_tokens,similarity,repetition,drift,targets,content');
+  assert.equal(csv.length, 3);
+  
+  const html = await download(`${path}?format=html`, ada);
+  assert.match(html.type, /text\/html/);
+  assert.ok(html.text.includes('# SOUL &lt;b&gt;'));
+  
+  assert.equal((await download(`${path}?format=pdf`)).status, 400);
+  assert.equal((await download('/api/battle/1/export')).status, 404);
+});
+
+test('private narration is only shown to the battle owner', async () => {
+  const { ada, bo } = users();
+  const { body: started } = await api('POST', '/api/battle', { token: ada, body: { ...mockBattle, turnDelay: 50 } });
+  await api('POST', `/api/battle/${started.battleId}/inject`, { body: { content: 'Only Bo hears this.', targets: [1] } });
+  await api('POST', `/api/battle/${started.battleId}/inject`, { body: { content: 'Everyone hears this.' } });
+  await arena.getBattle(started.battleId).ended;
+  
+  const events = async token => JSON.parse((await download(`/api/battle/${started.battleId}/export?format=json`, token)).text)
+    .transcript.filter(t => t.role === 'narrator').map(t => t.content);
+  assert.deepEqual(await events(ada), ['Only Bo hears this.', 'Everyone hears this.']);
+  assert.deepEqual(await events(bo), ['Everyone hears this.']);
+  assert.ok(!(await download(`/api/battle/${started.battleId}/export?format=csv`)).text.includes('Only Bo'));
+  
+  const narration = history => history.filter(t => t.role === 'narrator').map(t => t.content);
+  assert.deepEqual(narration((await api('GET', `/api/battle/${started.battleId}`, { token: ada })).body.history), ['Only Bo hears this.', 'Everyone hears this.']);
+  assert.deepEqual(narration((await api('GET', `/api/battle/${started.battleId}`, { token: bo })).body.history), ['Everyone hears this.']);
+  
+  // Published battles are public, so the archive copy leaves it out
+  const published = await api('POST', '/api/archive/publish', { token: ada, body: { battleId: started.battleId } });
+  assert.deepEqual(narration((await api('GET', `/api/archive/${published.body.id}`, { token: ada })).body.transcript), ['Everyone hears this.']);
+});
+
+test('imports published before turns were numbered export with turn numbers', async () => {
+  const { ada } = users();
+  const transcript = [{ speaker: 'Ada', content: 'One.' }, { speaker: 'Bo', content: 'Two.' }];
+  const { body } = await api('POST', '/api/archive/import', { token: ada, body: { content: JSON.stringify(transcript) } });
+  arena.db.prepare('UPDATE published_battles SET transcript = ? WHERE id = ?').run(JSON.stringify(transcript), body.id);
+  
+  const markdown = (await download(`/api/archive/${body.id}/export`)).text;
+  assert.ok(markdown.includes('### Ada (Turn 1)') && markdown.includes('### Bo (Turn 2)'));
+  assert.equal((await download(`/api/archive/${body.id}/export?format=constructor`)).status, 400);
+});
+
+test('published battles export from the archive', async () => {
+  const { ada } = users();
+  const battle = await runBattle(ada);
+  const { body: published } = await api('POST', '/api/archive/publish', { token: ada, body: { battleId: battle.id, title: 'Tea & talk' } });
+  
+  const markdown = await download(`/api/archive/${published.id}/export`);
+  assert.ok(markdown.text.startsWith('# Tea & talk'));
+  assert.ok(markdown.text.includes('Verified'));
+  
+  const json = JSON.parse((await download(`/api/archive/${published.id}/export?format=json`)).text);
+  assert.deepEqual([json.publishedId, json.battleId, json.transcript.length], [published.id, battle.id, 2]);
+  
+  const { body: views } = await api('GET', `/api/archive/${published.id}`);
+  assert.equal(views.views, 0); // Exports are not views
+});
+
+async function upload(path, text, token) {
+  const res = await fetch(base + path, { method: 'POST', headers: { 'Content-Type': 'text/plain', Authorization: `Bearer ${token}` }, body: text });
+  return { status: res.status, body: await res.json() };
+}
+
+test('conversations import from JSONL, ChatML and our Markdown export', async () => {
+  const { ada } = users();
+  
+  const jsonl = [
+    { speaker: 'Kettle', model: 'gpt-x', content: 'I am heating up.', timestamp: '2026-01-01T10:00:00Z' },
+    { role: 'narrator', content: 'The power flickers.' },
+    { speaker: 'Cup', content: 'Take your time.', timestamp: '2026-01-01T10:01:00Z' }
+  ].map(row => JSON.stringify(row)).join('\n');
+  const fromJSONL = await upload('/api/archive/import?tags=Imported,tea&title=Kitchen', jsonl, ada);
+  assert.equal(fromJSONL.status, 200);
+  assert.equal(fromJSONL.body.turns, 2);
+  
+  const { body: entry } = await api('GET', `/api/archive/${fromJSONL.body.id}`);
+  assert.deepEqual([entry.verified, entry.imported, entry.battle_id, entry.title], [0, 1, null, 'Kitchen']);
+  assert.deepEqual(entry.agents, [{ name: 'Kettle', model: 'gpt-x' }, { name: 'Cup', model: null }]);
+  assert.deepEqual(entry.transcript.map(t => [t.turn, t.speaker]), [[0, 'Kettle'], [1, 'Narrator'], [1, 'Cup']]);
+  assert.deepEqual([entry.started_at, entry.ended_at], [Date.parse('2026-01-01T10:00:00Z'), Date.parse('2026-01-01T10:01:00Z')]);
+  assert.deepEqual(entry.tags, ['imported', 'tea']);
+  
+  const chatml = await api('POST', '/api/archive/import', {
+    token: ada,
+    body: {
+      content: JSON.stringify([
+        { role: 'system', content: 'Argue about teapots.' },
+        { role: 'user', name: 'Left', content: 'Porcelain.' },
+        { role: 'assistant', content: [{ type: 'text', text: 'Cast iron.' }] }
+      ])
+    }
+  });
+  const { body: chat } = await api('GET', `/api/archive/${chatml.body.id}`);
+  assert.equal(chat.prompt, 'Argue about teapots.');
+  assert.deepEqual(chat.transcript.map(t => [t.speaker, t.content]), [['Left', 'Porcelain.'], ['Assistant', 'Cast iron.']]);
+  
+  // A Markdown export comes back in as the same conversation
+  const battle = await runBattle();
+  const markdown = (await download(`/api/battle/${battle.id}/export`)).text;
+  const fromMarkdown = await upload('/api/archive/import?format=markdown', markdown, ada);
+  const { body: copy } = await api('GET', `/api/archive/${fromMarkdown.body.id}`);
+  assert.equal(copy.prompt, 'Discuss tea.');
+  assert.deepEqual(copy.agents, [{ name: 'Ada', model: 'mock' }, { name: 'Bo', model: 'mock' }]);
+  assert.deepEqual(copy.transcript.map(t => t.content), battle.history.map(t => t.content));
+});
+
+test('imports are validated and need a login', async () => {
+  const { ada } = users();
+  
+  assert.equal((await fetch(base + '/api/archive/import', { method: 'POST', body: 'x' })).status, 401);
+  
+  const empty = await upload('/api/archive/import?format=jsonl', '{"speaker":"Ada","content":"  "}', ada);
+  assert.deepEqual([empty.status, empty.body.error], [400, 'Turn 1 has no content']);
+  
+  const broken = await upload('/api/archive/import?format=jsonl', '{"speaker":"Ada","content":"Hi"}\nnot json', ada);
+  assert.deepEqual([broken.status, broken.body.error], [400, 'Line 2 is not a JSON object']);
+  
+  const nothing = await upload('/api/archive/import', 'Just some notes, no turns here.', ada);
+  assert.deepEqual([nothing.status, nothing.body.error], [400, 'No turns found']);
+  
+  assert.equal((await upload('/api/archive/import?format=xml', '<chat/>', ada)).status, 400);
+  
+  const rows = {
+    'Message 1 has an invalid timestamp': { speaker: 'Ada', content: 'Hi', timestamp: 1e20 },
+    'Message 1: model must be a string': { speaker: 'Ada', content: 'Hi', model: { id: 'gpt' } },
+    'Message 1: name must be a string': { name: ['Ada'], content: 'Hi' },
+    'Message 1: targets must be a list of agent indices': { role: 'narrator', content: 'Psst', targets: ['Ada'] }
+  };
+  for (const [error, row] of Object.entries(rows)) {
+    const { status, body } = await upload('/api/archive/import?format=jsonl', JSON.stringify(row), ada);
+    assert.deepEqual([status, body.error], [400, error]);
+  }
+  
+  const repeated = await upload('/api/archive/import?title=a&title=b', '{"speaker":"Ada","content":"Hi"}', ada);
+  assert.deepEqual([repeated.status, repeated.body.error], [400, 'title must be a string']);
+});